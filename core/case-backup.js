@@ -0,0 +1,358 @@
+/**
+ * Case Backup for I-765 Form Application
+ * Writes every stored case (profiles with their signatures and attachments)
+ * and the office settings into one encrypted file, and restores such a file
+ * on this or another machine after showing what it will add or replace
+ * Last Updated: 2025-12-09
+ */
+
+const CASE_BACKUP_FORMAT = 'i765-case-backup';
+const CASE_BACKUP_VERSION = 2;
+
+/**
+ * localStorage keys copied with the cases
+ * Office settings kept in the case store (the default preparer and
+ * representative, the user list) are copied as well; see
+ * CaseStore.exportSettings().
+ */
+const CASE_BACKUP_SETTING_KEYS = [
+  'i765_form_language'
+];
+
+/**
+ * Case Backup Class
+ */
+class CaseBackup {
+  /**
+   * @param {CaseStore} [store] - Case store (default: caseStore)
+   * @param {object} [options] - Options
+   * @param {Storage} [options.storage] - Settings storage (default: localStorage)
+   * @param {Crypto} [options.crypto] - WebCrypto implementation (default: the browser's)
+   * @param {number} [options.iterations] - PBKDF2 iterations for new backups
+   */
+  constructor(store, options = {}) {
+    this.store = store || (typeof caseStore !== 'undefined'
+      ? caseStore
+      : require('./case-store').caseStore);
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.cryptoOptions = { crypto: options.crypto, iterations: options.iterations };
+  }
+
+  /**
+   * Export every case, archived ones included, and the settings
+   * The case store must be unlocked. The backup has its own passphrase so it
+   * can be restored on a machine with a different office passphrase.
+   * @param {string} passphrase - Backup passphrase
+   * @returns {Promise<object>} { filename, data, caseCount } - data is the file text
+   */
+  async export(passphrase) {
+    const records = await this.store.exportRecords();
+    const officeSettings = this.store.exportSettings();
+    const settings = {};
+    for (const key of CASE_BACKUP_SETTING_KEYS) {
+      const value = this.storage ? this.storage.getItem(key) : null;
+      if (value !== null) settings[key] = value;
+    }
+
+    const createdAt = new Date().toISOString();
+    const vault = this.createVault();
+    const header = await vault.create(passphrase);
+    const contents = {
+      caseCount: records.length,
+      cases: records.map(record => ({
+        applicationId: record.applicationId,
+        archived: Boolean(record.archived),
+        savedAt: record.savedAt,
+        profile: record.profile
+      })),
+      settings,
+      officeSettings
+    };
+
+    const archive = {
+      format: CASE_BACKUP_FORMAT,
+      version: CASE_BACKUP_VERSION,
+      createdAt,
+      vault: header,
+      payload: await vault.encrypt(contents, this.getContext(CASE_BACKUP_VERSION, createdAt))
+    };
+    vault.lock();
+
+    console.log(`[CaseBackup] Exported ${records.length} case(s)`);
+    return {
+      filename: `i765-backup-${createdAt.slice(0, 10)}.json`,
+      data: JSON.stringify(archive),
+      caseCount: records.length
+    };
+  }
+
+  /**
+   * Save an export as a file
+   * @param {object} backup - Result of export()
+   */
+  download(backup) {
+    const blob = new Blob([backup.data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = backup.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Open a backup and work out what restoring it would change
+   * Nothing is written. The file is rejected if the passphrase is wrong or
+   * any byte of it was changed.
+   * @param {File|Blob|string} file - Backup file or its text
+   * @param {string} passphrase - Backup passphrase
+   * @returns {Promise<object>} Plan { createdAt, cases: [...], settings: [...], counts }
+   */
+  async inspect(file, passphrase) {
+    const text = typeof file === 'string' ? file : await file.text();
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a case backup file');
+    }
+    if (!archive || archive.format !== CASE_BACKUP_FORMAT) {
+      throw new Error('Not a case backup file');
+    }
+    if (archive.version > CASE_BACKUP_VERSION) {
+      throw new Error(`Backup version ${archive.version} was made by a newer version of this app`);
+    }
+
+    const vault = this.createVault();
+    await vault.unlock(passphrase, archive.vault);
+    let contents;
+    try {
+      contents = await vault.decrypt(archive.payload, this.getContext(archive.version, archive.createdAt));
+    } finally {
+      vault.lock();
+    }
+    contents = this.upgradeContents(contents, archive.version);
+    this.validateContents(contents);
+
+    const current = new Map((await this.store.exportRecords()).map(record => [record.applicationId, record]));
+    const cases = contents.cases.map(record => {
+      const existing = current.get(record.applicationId);
+      const updatedAt = record.profile.metadata.updatedAt || '';
+      const currentUpdatedAt = existing ? existing.updatedAt || '' : null;
+      const personalInfo = record.profile.personalInfo || {};
+      return {
+        applicationId: record.applicationId,
+        applicantName: [personalInfo.lastName, personalInfo.firstName].filter(Boolean).join(', '),
+        status: record.profile.metadata.status || 'DRAFT',
+        archived: record.archived,
+        action: existing ? 'replace' : 'add',
+        updatedAt,
+        currentUpdatedAt,
+        // Restoring would overwrite later work done on this machine
+        currentIsNewer: Boolean(existing) && currentUpdatedAt > updatedAt
+      };
+    });
+
+    const settings = Object.keys(contents.settings).map(key => {
+      const value = this.storage ? this.storage.getItem(key) : null;
+      return {
+        key,
+        action: value === null ? 'add' : value === contents.settings[key] ? 'unchanged' : 'replace'
+      };
+    });
+    for (const [key, saved] of Object.entries(contents.officeSettings)) {
+      const value = this.store.getSetting(key);
+      settings.push({
+        key,
+        action: value === null ? 'add' : JSON.stringify(value) === JSON.stringify(saved) ? 'unchanged' : 'replace'
+      });
+    }
+
+    return {
+      createdAt: archive.createdAt,
+      version: archive.version,
+      cases,
+      settings,
+      counts: {
+        add: cases.filter(item => item.action === 'add').length,
+        replace: cases.filter(item => item.action === 'replace').length,
+        currentIsNewer: cases.filter(item => item.currentIsNewer).length
+      },
+      contents
+    };
+  }
+
+  /**
+   * Describe a plan for the confirmation dialog
+   * @param {object} plan - Result of inspect()
+   * @param {string} [language] - "en" or "zh"
+   * @returns {string[]} Lines
+   */
+  describe(plan, language = 'en') {
+    const zh = language === 'zh';
+    const lines = [zh
+      ? `备份时间 ${plan.createdAt}：新增 ${plan.counts.add} 个案件，替换 ${plan.counts.replace} 个案件`
+      : `Backup from ${plan.createdAt}: ${plan.counts.add} case(s) to add, ${plan.counts.replace} to replace`];
+
+    for (const item of plan.cases) {
+      const name = item.applicantName || item.applicationId;
+      let line = zh
+        ? `${item.action === 'add' ? '新增' : '替换'} ${name}（${item.applicationId}）`
+        : `${item.action === 'add' ? 'Add' : 'Replace'} ${name} (${item.applicationId})`;
+      if (item.currentIsNewer) {
+        line += zh
+          ? `：本机的版本较新（${item.currentUpdatedAt}），恢复后将被覆盖`
+          : `: the copy on this machine is newer (${item.currentUpdatedAt}) and will be overwritten`;
+      }
+      lines.push(line);
+    }
+
+    for (const item of plan.settings.filter(setting => setting.action !== 'unchanged')) {
+      lines.push(zh
+        ? `${item.action === 'add' ? '新增' : '替换'}设置 ${item.key}`
+        : `${item.action === 'add' ? 'Add' : 'Replace'} setting ${item.key}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Restore a backup
+   * The case store must be unlocked; restored cases and office settings are
+   * encrypted with the office passphrase. Cases not in the backup are left alone.
+   * @param {object} plan - Result of inspect()
+   * @param {object} [options] - Options
+   * @param {string[]} [options.applicationIds] - Only restore these cases (default: all)
+   * @param {boolean} [options.settings] - Restore settings (default true)
+   * @returns {Promise<object>} { added, replaced, settings } counts
+   */
+  async restore(plan, options = {}) {
+    const { applicationIds = null, settings = true } = options;
+    const selected = applicationIds ? new Set(applicationIds) : null;
+    const records = plan.contents.cases.filter(record => !selected || selected.has(record.applicationId));
+    const actions = new Map(plan.cases.map(item => [item.applicationId, item.action]));
+
+    await this.store.importRecords(records);
+
+    let settingCount = 0;
+    if (settings) {
+      await this.store.importSettings(plan.contents.officeSettings);
+      settingCount += Object.keys(plan.contents.officeSettings).length;
+      if (this.storage) {
+        for (const [key, value] of Object.entries(plan.contents.settings)) {
+          this.storage.setItem(key, value);
+          settingCount++;
+        }
+      }
+    }
+
+    const result = {
+      added: records.filter(record => actions.get(record.applicationId) === 'add').length,
+      replaced: records.filter(record => actions.get(record.applicationId) === 'replace').length,
+      settings: settingCount
+    };
+    console.log(`[CaseBackup] Restored ${result.added} new and ${result.replaced} replaced case(s)`);
+    return result;
+  }
+
+  /**
+   * Bring the contents of an older backup to the current shape
+   * Version 1 backups carried the default preparer and representative and
+   * the user list as localStorage text; they now belong in the case store's
+   * encrypted settings.
+   * @private
+   * @param {object} contents - Decrypted contents
+   * @param {number} version - Backup version
+   * @returns {object} Contents
+   * @throws {Error} If a copied setting is not valid JSON
+   */
+  upgradeContents(contents, version) {
+    if (version >= 2 || !contents || !contents.settings || typeof contents.settings !== 'object') {
+      return contents;
+    }
+
+    const legacy = typeof CASE_LEGACY_SETTINGS !== 'undefined'
+      ? CASE_LEGACY_SETTINGS
+      : require('./case-store').CASE_LEGACY_SETTINGS;
+    const settings = { ...contents.settings };
+    const officeSettings = {};
+    for (const [name, key] of Object.entries(legacy)) {
+      if (!(key in settings)) continue;
+      try {
+        officeSettings[name] = JSON.parse(settings[key]);
+      } catch (error) {
+        throw new Error('Backup contents are incomplete');
+      }
+      delete settings[key];
+    }
+    return { ...contents, settings, officeSettings };
+  }
+
+  /**
+   * Check the decrypted contents before anything is written
+   * @private
+   * @param {object} contents - Decrypted contents
+   * @throws {Error} If the contents are incomplete
+   */
+  validateContents(contents) {
+    const valid = contents && Array.isArray(contents.cases) &&
+      contents.caseCount === contents.cases.length &&
+      contents.settings && typeof contents.settings === 'object' &&
+      contents.officeSettings && typeof contents.officeSettings === 'object' &&
+      !Array.isArray(contents.officeSettings) &&
+      contents.cases.every(record => record && typeof record.applicationId === 'string' &&
+        record.profile && record.profile.metadata &&
+        record.profile.metadata.applicationId === record.applicationId) &&
+      Object.values(contents.settings).every(value => typeof value === 'string');
+
+    if (!valid) {
+      throw new Error('Backup contents are incomplete');
+    }
+  }
+
+  /**
+   * Text bound to the encrypted contents, so the version and date in the
+   * clear cannot be changed
+   * @private
+   * @param {number} version - Backup version
+   * @param {string} createdAt - Creation time
+   * @returns {string} Context
+   */
+  getContext(version, createdAt) {
+    return `${CASE_BACKUP_FORMAT}:${version}:${createdAt}`;
+  }
+
+  /**
+   * Create a locked vault
+   * @private
+   * @returns {CryptoVault} Vault
+   */
+  createVault() {
+    const Vault = typeof CryptoVault !== 'undefined' ? CryptoVault : require('./crypto-vault').CryptoVault;
+    return new Vault(this.cryptoOptions);
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const caseBackup = new CaseBackup();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CaseBackup,
+    caseBackup,
+    CASE_BACKUP_VERSION,
+    CASE_BACKUP_SETTING_KEYS
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.CaseBackup = CaseBackup;
+  window.caseBackup = caseBackup;
+  window.CASE_BACKUP_VERSION = CASE_BACKUP_VERSION;
+  window.CASE_BACKUP_SETTING_KEYS = CASE_BACKUP_SETTING_KEYS;
+}
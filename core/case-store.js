@@ -0,0 +1,731 @@
+/**
+ * Case Store for I-765 Form Application
+ * Keeps every client's ApplicantProfile in IndexedDB, keyed by
+ * metadata.applicationId, so a firm can work many cases in one browser.
+ * Records are encrypted with the office passphrase (see CryptoVault); only
+ * the application id and archive flag are stored in the clear. Office
+ * settings such as the default preparer are encrypted the same way.
+ * Last Updated: 2025-12-09
+ */
+
+const CASE_DB_NAME = 'i765_cases';
+const CASE_DB_VERSION = 2;
+const CASE_STORE_NAME = 'cases';
+const CASE_SETTINGS_STORE_NAME = 'settings';
+const CASE_VAULT_SETTING = 'vault';
+
+/**
+ * Settings kept in plain localStorage by earlier versions
+ * They are moved into the encrypted settings store when it is unlocked.
+ */
+const CASE_LEGACY_SETTINGS = {
+  defaultPreparer: 'i765_default_preparer',
+  defaultRepresentative: 'i765_default_representative',
+  users: 'i765_users'
+};
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Case Store Class
+ */
+class CaseStore {
+  /**
+   * @param {object} [options] - Options
+   * @param {string} [options.dbName] - Database name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (default: the browser's)
+   * @param {Crypto} [options.crypto] - WebCrypto implementation (default: the browser's)
+   * @param {number} [options.iterations] - PBKDF2 iterations for new passphrases
+   * @param {Storage} [options.storage] - Storage holding settings from earlier versions (default: localStorage)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || CASE_DB_NAME;
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.cryptoOptions = { crypto: options.crypto, iterations: options.iterations };
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.db = null;
+    this.vault = this.createVault();
+    this.settings = new Map();
+  }
+
+  /**
+   * Open the database, creating the case store on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  async openDatabase() {
+    if (this.db) return this.db;
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = this.indexedDB.open(this.dbName, CASE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CASE_STORE_NAME)) {
+        db.createObjectStore(CASE_STORE_NAME, { keyPath: 'applicationId' });
+      }
+      if (!db.objectStoreNames.contains(CASE_SETTINGS_STORE_NAME)) {
+        db.createObjectStore(CASE_SETTINGS_STORE_NAME, { keyPath: 'key' });
+      }
+    };
+
+    this.db = await promisifyRequest(request);
+    return this.db;
+  }
+
+  /**
+   * Close the database and lock
+   */
+  close() {
+    this.lock();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Check whether an office passphrase has been set
+   * @returns {Promise<boolean>} True once setPassphrase() has run
+   */
+  async hasPassphrase() {
+    return Boolean(await this.getVaultHeader());
+  }
+
+  /**
+   * Check whether the store is locked
+   * @returns {boolean} True if the passphrase must be entered before cases can be read or saved
+   */
+  isLocked() {
+    return !this.vault.isUnlocked();
+  }
+
+  /**
+   * Set the office passphrase for the first time and unlock
+   * Cases saved before encryption was set up are encrypted now.
+   * @param {string} passphrase - Office passphrase
+   * @returns {Promise<void>}
+   */
+  async setPassphrase(passphrase) {
+    if (await this.hasPassphrase()) {
+      throw new Error('A passphrase is already set; use changePassphrase()');
+    }
+
+    const vault = this.createVault();
+    const header = await vault.create(passphrase);
+    const plainRecords = await this.runTransaction(CASE_STORE_NAME, 'readonly',
+      transaction => transaction.objectStore(CASE_STORE_NAME).getAll());
+    const records = [];
+    for (const record of plainRecords) {
+      records.push(record.payload ? record : await this.encryptRecord(vault, record));
+    }
+
+    await this.writeVault(header, records);
+    this.vault = vault;
+    this.settings = new Map();
+    await this.moveLegacySettings();
+    console.log(`[CaseStore] Passphrase set, ${records.length} case(s) encrypted`);
+  }
+
+  /**
+   * Unlock with the office passphrase
+   * @param {string} passphrase - Office passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If no passphrase is set or it is wrong
+   */
+  async unlock(passphrase) {
+    const header = await this.getVaultHeader();
+    if (!header) {
+      throw new Error('No passphrase is set; use setPassphrase()');
+    }
+    await this.vault.unlock(passphrase, header);
+    this.settings = await this.readSettings(this.vault);
+    await this.moveLegacySettings();
+  }
+
+  /**
+   * Lock: drop the key and the decrypted settings from memory
+   * Profiles already loaded stay in memory; callers should close them too.
+   */
+  lock() {
+    this.vault.lock();
+    this.settings = new Map();
+  }
+
+  /**
+   * Change the office passphrase
+   * Every case and setting is decrypted and encrypted again with a new key
+   * and salt in one transaction, so an interrupted change leaves the old
+   * passphrase working.
+   * @param {string} currentPassphrase - Current passphrase
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the current passphrase is wrong
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const header = await this.getVaultHeader();
+    if (!header) {
+      throw new Error('No passphrase is set; use setPassphrase()');
+    }
+
+    const current = this.createVault();
+    await current.unlock(currentPassphrase, header);
+    const records = await this.readRecords(current);
+    const settings = await this.readSettings(current);
+
+    const next = this.createVault();
+    const nextHeader = await next.create(newPassphrase);
+    const encrypted = [];
+    for (const record of records) {
+      encrypted.push(await this.encryptRecord(next, record));
+    }
+    const encryptedSettings = [];
+    for (const [name, value] of settings) {
+      encryptedSettings.push(await this.encryptSetting(next, name, value));
+    }
+
+    await this.writeVault(nextHeader, encrypted, encryptedSettings);
+    this.vault.lock();
+    this.vault = next;
+    this.settings = settings;
+    console.log(`[CaseStore] Passphrase changed, ${encrypted.length} case(s) re-encrypted`);
+  }
+
+  /**
+   * Save a profile, adding it or replacing the stored copy
+   * An archived case stays archived when it is saved again.
+   * @param {ApplicantProfile} profile - Profile to save
+   * @returns {Promise<object>} Case summary
+   */
+  async save(profile) {
+    const data = profile.toJSON ? profile.toJSON() : profile;
+    const applicationId = data.metadata && data.metadata.applicationId;
+    if (!applicationId) {
+      throw new Error('Profile has no metadata.applicationId');
+    }
+
+    const existing = await this.getRecord(applicationId);
+    const record = {
+      ...this.summarize(data),
+      archived: existing ? existing.archived : false,
+      savedAt: new Date().toISOString(),
+      profile: JSON.parse(JSON.stringify(data))
+    };
+
+    await this.putRecord(record);
+    console.log(`[CaseStore] Saved ${applicationId}`);
+    return this.toSummary(record);
+  }
+
+  /**
+   * Open a stored case
+   * @param {string} applicationId - Application id
+   * @returns {Promise<ApplicantProfile|null>} Profile or null if not found
+   */
+  async load(applicationId) {
+    const record = await this.getRecord(applicationId);
+    if (!record) return null;
+
+    const Profile = typeof ApplicantProfile !== 'undefined' ? ApplicantProfile : require('./data-models');
+    const profile = new Profile();
+    profile.fromJSON(record.profile);
+    // fromJSON stamps updatedAt; keep the stored time until the case is edited
+    profile.metadata.updatedAt = record.profile.metadata.updatedAt;
+    return profile;
+  }
+
+  /**
+   * List stored cases, most recently updated first
+   * @param {object} [options] - Filters
+   * @param {string} [options.status] - Only cases with this metadata.status
+   * @param {boolean} [options.includeArchived] - Include archived cases (default false)
+   * @returns {Promise<object[]>} Case summaries
+   */
+  async list(options = {}) {
+    const { status = null, includeArchived = false } = options;
+    const records = await this.readRecords(this.vault);
+
+    return records
+      .filter(record => includeArchived || !record.archived)
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+      .map(record => this.toSummary(record));
+  }
+
+  /**
+   * Search cases by applicant name, A-Number, application id, USCIS case
+   * number, email or phone
+   * Every word of the query must match (case-insensitive).
+   * @param {string} query - Search text
+   * @param {object} [options] - Filters, see list()
+   * @returns {Promise<object[]>} Matching case summaries
+   */
+  async search(query, options = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const cases = await this.list(options);
+    if (words.length === 0) return cases;
+
+    return cases.filter(summary => {
+      const text = [
+        summary.applicantName, summary.aNumber, summary.applicationId,
+        summary.caseNumber, summary.email, summary.phone
+      ].join(' ').toLowerCase();
+      // "A-123-456-789" also matches "123456789"
+      const compact = text.replace(/[^0-9a-z\s]/g, '');
+      return words.every(word => text.includes(word) || compact.includes(word.replace(/[^0-9a-z]/g, '')));
+    });
+  }
+
+  /**
+   * Copy a case into a new draft (e.g. for a family member)
+   * The copy gets a new application id; status, case number, notes,
+   * signatures and supporting documents start over.
+   * @param {string} applicationId - Case to copy
+   * @returns {Promise<ApplicantProfile>} Saved copy
+   */
+  async duplicate(applicationId) {
+    const record = await this.getRecord(applicationId);
+    if (!record) {
+      throw new Error(`Case not found: ${applicationId}`);
+    }
+
+    const Profile = typeof ApplicantProfile !== 'undefined' ? ApplicantProfile : require('./data-models');
+    const data = JSON.parse(JSON.stringify(record.profile));
+    const { usedInterpreter, usedPreparer, hasRepresentative, canReadEnglish } = data.metadata;
+    // Keep only the schema version, so older saves are still migrated
+    data.metadata = { schemaVersion: data.metadata.schemaVersion };
+    delete data.supportingDocuments;
+
+    const copy = new Profile();
+    copy.fromJSON(data);
+    Object.assign(copy.metadata, { usedInterpreter, usedPreparer, hasRepresentative, canReadEnglish });
+    for (const signer of ['applicant', 'interpreter', 'preparer', 'representative', 'petitioner', 'sponsor']) {
+      copy.setSignature(signer, '');
+    }
+    copy.addNote(`Copied from ${applicationId}`);
+
+    await this.save(copy);
+    return copy;
+  }
+
+  /**
+   * Archive a case, or bring it back
+   * Archived cases are hidden from list() and search() unless includeArchived is set.
+   * @param {string} applicationId - Application id
+   * @param {boolean} [archived] - True to archive, false to restore
+   * @returns {Promise<object>} Case summary
+   */
+  async archive(applicationId, archived = true) {
+    const record = await this.getRecord(applicationId);
+    if (!record) {
+      throw new Error(`Case not found: ${applicationId}`);
+    }
+
+    record.archived = archived;
+    await this.putRecord(record);
+    console.log(`[CaseStore] ${archived ? 'Archived' : 'Restored'} ${applicationId}`);
+    return this.toSummary(record);
+  }
+
+  /**
+   * Delete a case permanently
+   * @param {string} applicationId - Application id
+   * @returns {Promise<boolean>} True if a case was deleted
+   */
+  async remove(applicationId) {
+    const record = await this.getRecord(applicationId);
+    if (!record) return false;
+
+    await this.runTransaction(CASE_STORE_NAME, 'readwrite',
+      transaction => transaction.objectStore(CASE_STORE_NAME).delete(applicationId));
+    console.log(`[CaseStore] Deleted ${applicationId}`);
+    return true;
+  }
+
+  /**
+   * Get every case with its full profile data, archived cases included
+   * Used by CaseBackup.
+   * @returns {Promise<object[]>} Records { applicationId, archived, savedAt, ...summary, profile }
+   */
+  async exportRecords() {
+    return this.readRecords(this.vault);
+  }
+
+  /**
+   * Add or replace cases from exportRecords() output in one transaction
+   * Used by CaseBackup; records keep their archive flag and saved time.
+   * @param {object[]} records - Records
+   * @returns {Promise<void>}
+   */
+  async importRecords(records) {
+    this.checkUnlocked(this.vault);
+    const stored = [];
+    for (const record of records) {
+      stored.push(await this.encryptRecord(this.vault, {
+        ...this.summarize(record.profile),
+        archived: Boolean(record.archived),
+        savedAt: record.savedAt || new Date().toISOString(),
+        profile: record.profile
+      }));
+    }
+
+    await this.runTransaction(CASE_STORE_NAME, 'readwrite', transaction => {
+      const store = transaction.objectStore(CASE_STORE_NAME);
+      for (const record of stored) {
+        store.put(record);
+      }
+    });
+    console.log(`[CaseStore] Imported ${stored.length} case(s)`);
+  }
+
+  /**
+   * Get an office setting
+   * Settings are decrypted when the store is unlocked, so this does not wait.
+   * @param {string} name - Setting name (e.g. "defaultPreparer")
+   * @returns {*} Copy of the value, or null if it is not set or the store is locked
+   */
+  getSetting(name) {
+    return this.settings.has(name) ? JSON.parse(JSON.stringify(this.settings.get(name))) : null;
+  }
+
+  /**
+   * Save an office setting, encrypted with the office passphrase
+   * @param {string} name - Setting name
+   * @param {*} value - JSON-serializable value, or null to remove the setting
+   * @returns {Promise<void>}
+   */
+  async setSetting(name, value) {
+    await this.importSettings({ [name]: value });
+  }
+
+  /**
+   * Get every office setting
+   * Used by CaseBackup.
+   * @returns {object} { name: value }
+   */
+  exportSettings() {
+    this.checkUnlocked(this.vault);
+    const settings = {};
+    for (const name of this.settings.keys()) {
+      settings[name] = this.getSetting(name);
+    }
+    return settings;
+  }
+
+  /**
+   * Save several office settings in one transaction
+   * Used by CaseBackup; settings not named are left alone.
+   * @param {object} settings - { name: value }; null removes a setting
+   * @returns {Promise<void>}
+   */
+  async importSettings(settings) {
+    this.checkUnlocked(this.vault);
+    const entries = Object.entries(settings).map(([name, value]) => [name, value === undefined ? null : value]);
+    const stored = [];
+    for (const [name, value] of entries) {
+      if (name === CASE_VAULT_SETTING) {
+        throw new Error(`Reserved setting name: ${name}`);
+      }
+      if (value !== null) {
+        stored.push(await this.encryptSetting(this.vault, name, value));
+      }
+    }
+
+    await this.runTransaction(CASE_SETTINGS_STORE_NAME, 'readwrite', transaction => {
+      const store = transaction.objectStore(CASE_SETTINGS_STORE_NAME);
+      for (const [name, value] of entries) {
+        if (value === null) store.delete(name);
+      }
+      for (const setting of stored) {
+        store.put(setting);
+      }
+    });
+
+    for (const [name, value] of entries) {
+      if (value === null) {
+        this.settings.delete(name);
+      } else {
+        this.settings.set(name, JSON.parse(JSON.stringify(value)));
+      }
+    }
+  }
+
+  /**
+   * Get and decrypt a stored record
+   * @private
+   * @param {string} applicationId - Application id
+   * @returns {Promise<object|undefined>} Record
+   */
+  async getRecord(applicationId) {
+    this.checkUnlocked(this.vault);
+    const stored = await this.runTransaction(CASE_STORE_NAME, 'readonly',
+      transaction => transaction.objectStore(CASE_STORE_NAME).get(applicationId));
+    return stored ? this.decryptRecord(this.vault, stored) : undefined;
+  }
+
+  /**
+   * Get and decrypt all stored records
+   * @private
+   * @param {CryptoVault} vault - Unlocked vault
+   * @returns {Promise<object[]>} Records
+   */
+  async readRecords(vault) {
+    this.checkUnlocked(vault);
+    const stored = await this.runTransaction(CASE_STORE_NAME, 'readonly',
+      transaction => transaction.objectStore(CASE_STORE_NAME).getAll());
+    const records = [];
+    for (const record of stored) {
+      records.push(await this.decryptRecord(vault, record));
+    }
+    return records;
+  }
+
+  /**
+   * Encrypt and store a record
+   * @private
+   * @param {object} record - Record
+   * @returns {Promise<void>}
+   */
+  async putRecord(record) {
+    // Encrypt first: an IndexedDB transaction closes while awaiting WebCrypto
+    const stored = await this.encryptRecord(this.vault, record);
+    await this.runTransaction(CASE_STORE_NAME, 'readwrite',
+      transaction => transaction.objectStore(CASE_STORE_NAME).put(stored));
+  }
+
+  /**
+   * Encrypt a record
+   * The application id is bound to the ciphertext, so a record copied
+   * under another id does not decrypt.
+   * @private
+   * @param {CryptoVault} vault - Unlocked vault
+   * @param {object} record - Record
+   * @returns {Promise<object>} { applicationId, archived, payload }
+   */
+  async encryptRecord(vault, record) {
+    const { applicationId, archived, ...content } = record;
+    return {
+      applicationId,
+      archived: Boolean(archived),
+      payload: await vault.encrypt(content, applicationId)
+    };
+  }
+
+  /**
+   * Decrypt a stored record
+   * @private
+   * @param {CryptoVault} vault - Unlocked vault
+   * @param {object} stored - Stored record
+   * @returns {Promise<object>} Record
+   */
+  async decryptRecord(vault, stored) {
+    const content = await vault.decrypt(stored.payload, stored.applicationId);
+    return { ...content, applicationId: stored.applicationId, archived: stored.archived };
+  }
+
+  /**
+   * Encrypt a setting
+   * The name is bound to the ciphertext, as the application id is for cases.
+   * @private
+   * @param {CryptoVault} vault - Unlocked vault
+   * @param {string} name - Setting name
+   * @param {*} value - Value
+   * @returns {Promise<object>} { key, payload }
+   */
+  async encryptSetting(vault, name, value) {
+    return { key: name, payload: await vault.encrypt(value, `setting:${name}`) };
+  }
+
+  /**
+   * Get and decrypt all stored settings
+   * @private
+   * @param {CryptoVault} vault - Unlocked vault
+   * @returns {Promise<Map>} name => value
+   */
+  async readSettings(vault) {
+    this.checkUnlocked(vault);
+    const stored = await this.runTransaction(CASE_SETTINGS_STORE_NAME, 'readonly',
+      transaction => transaction.objectStore(CASE_SETTINGS_STORE_NAME).getAll());
+    const settings = new Map();
+    for (const setting of stored) {
+      if (setting.key === CASE_VAULT_SETTING) continue;
+      settings.set(setting.key, await vault.decrypt(setting.payload, `setting:${setting.key}`));
+    }
+    return settings;
+  }
+
+  /**
+   * Move settings left in plain localStorage by earlier versions into the
+   * encrypted settings store, and remove the plain copies
+   * @private
+   * @returns {Promise<void>}
+   */
+  async moveLegacySettings() {
+    if (!this.storage) return;
+    const moved = {};
+    for (const [name, key] of Object.entries(CASE_LEGACY_SETTINGS)) {
+      const text = this.storage.getItem(key);
+      if (text === null) continue;
+      try {
+        if (!this.settings.has(name)) moved[name] = JSON.parse(text);
+      } catch (e) {
+        console.warn(`Could not read ${key}: ${e.message}`);
+      }
+    }
+
+    if (Object.keys(moved).length > 0) {
+      await this.importSettings(moved);
+    }
+    for (const key of Object.values(CASE_LEGACY_SETTINGS)) {
+      this.storage.removeItem(key);
+    }
+    if (Object.keys(moved).length > 0) {
+      console.log(`[CaseStore] Moved ${Object.keys(moved).join(', ')} into encrypted settings`);
+    }
+  }
+
+  /**
+   * Get the saved vault header
+   * @private
+   * @returns {Promise<object|null>} Header or null if no passphrase is set
+   */
+  async getVaultHeader() {
+    const setting = await this.runTransaction(CASE_SETTINGS_STORE_NAME, 'readonly',
+      transaction => transaction.objectStore(CASE_SETTINGS_STORE_NAME).get(CASE_VAULT_SETTING));
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Save a vault header and all cases and settings encrypted with it in one transaction
+   * @private
+   * @param {object} header - Vault header
+   * @param {object[]} records - Encrypted records
+   * @param {object[]} [settings] - Encrypted settings
+   * @returns {Promise<void>}
+   */
+  async writeVault(header, records, settings = []) {
+    await this.runTransaction([CASE_STORE_NAME, CASE_SETTINGS_STORE_NAME], 'readwrite', transaction => {
+      const store = transaction.objectStore(CASE_STORE_NAME);
+      for (const record of records) {
+        store.put(record);
+      }
+      const settingsStore = transaction.objectStore(CASE_SETTINGS_STORE_NAME);
+      for (const setting of settings) {
+        settingsStore.put(setting);
+      }
+      settingsStore.put({ key: CASE_VAULT_SETTING, value: header });
+    });
+  }
+
+  /**
+   * Refuse to touch cases while locked
+   * @private
+   * @param {CryptoVault} vault - Vault
+   * @throws {Error} If the vault is locked
+   */
+  checkUnlocked(vault) {
+    if (!vault.isUnlocked()) {
+      throw new Error('Case store is locked; enter the office passphrase');
+    }
+  }
+
+  /**
+   * Create a locked vault
+   * @private
+   * @returns {CryptoVault} Vault
+   */
+  createVault() {
+    const Vault = typeof CryptoVault !== 'undefined' ? CryptoVault : require('./crypto-vault').CryptoVault;
+    return new Vault(this.cryptoOptions);
+  }
+
+  /**
+   * Run requests in a transaction and wait for the transaction to finish
+   * @private
+   * @param {string|string[]} storeNames - Object stores
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {function} callback - Receives the transaction, may return a request
+   * @returns {Promise<*>} Result of the returned request
+   */
+  async runTransaction(storeNames, mode, callback) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+
+    const request = callback(transaction);
+    const result = request ? await promisifyRequest(request) : undefined;
+    await done;
+    return result;
+  }
+
+  /**
+   * Build the searchable summary fields of a record
+   * @private
+   * @param {object} data - Profile data (toJSON)
+   * @returns {object} Summary fields
+   */
+  summarize(data) {
+    const personalInfo = data.personalInfo || {};
+    const contact = personalInfo.contact || {};
+    const metadata = data.metadata || {};
+
+    return {
+      applicationId: metadata.applicationId,
+      status: metadata.status || 'DRAFT',
+      applicantName: [personalInfo.lastName, personalInfo.firstName, personalInfo.middleName].filter(Boolean).join(', '),
+      aNumber: (data.immigrationDetails && data.immigrationDetails.uscisNumber) || '',
+      category: (data.eligibilityInfo && data.eligibilityInfo.category) || '',
+      caseNumber: metadata.caseNumber || '',
+      email: contact.email || '',
+      phone: contact.phoneNumber || contact.mobileNumber || '',
+      createdAt: metadata.createdAt || '',
+      updatedAt: metadata.updatedAt || ''
+    };
+  }
+
+  /**
+   * Strip the profile data from a record
+   * @private
+   * @param {object} record - Stored record
+   * @returns {object} Case summary
+   */
+  toSummary(record) {
+    const { profile, ...summary } = record;
+    return summary;
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const caseStore = new CaseStore();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CaseStore,
+    caseStore,
+    CASE_LEGACY_SETTINGS
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.CaseStore = CaseStore;
+  window.caseStore = caseStore;
+  window.CASE_LEGACY_SETTINGS = CASE_LEGACY_SETTINGS;
+}
@@ -0,0 +1,438 @@
+/**
+ * Change History for I-765 Form Application
+ * Records every edit of a profile field by field (path, old value, new
+ * value, user, time) in metadata.history, shows the profile as it was at any
+ * earlier point, restores fields or the whole profile, and keeps undo/redo
+ * for the current editing session
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * localStorage key of the name recorded with each change
+ */
+const HISTORY_USER_KEY = 'i765_current_user';
+
+/**
+ * Paths that change on their own and are not recorded
+ * The review status, comments and sign-offs have their own log (see
+ * review-workflow.js) and must not be undone or restored from here.
+ */
+const HISTORY_IGNORED_PATHS = [
+  'metadata.history',
+  'metadata.updatedAt',
+  'metadata.lastModifiedBy',
+  'metadata.completionPercentage',
+  'metadata.status',
+  'metadata.review'
+];
+
+/**
+ * Flatten profile data into { path: value }
+ * Arrays are single values (e.g. the citizenship list or the notes).
+ * @param {*} value - Value
+ * @param {string} path - Path of the value
+ * @param {object} out - Receives the leaves
+ * @returns {object} out
+ */
+function flattenValues(value, path = '', out = {}) {
+  if (HISTORY_IGNORED_PATHS.includes(path)) return out;
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenValues(child, path ? `${path}.${key}` : key, out);
+    }
+  } else if (path) {
+    out[path] = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+  return out;
+}
+
+/**
+ * Set a value by dot path, creating objects on the way
+ * Undefined removes the key.
+ * @param {object} target - Object to change
+ * @param {string} path - Dot path
+ * @param {*} value - Value
+ */
+function setPathValue(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+
+  if (value === undefined) {
+    delete current[last];
+  } else {
+    current[last] = JSON.parse(JSON.stringify(value));
+  }
+}
+
+/**
+ * Compare two values recorded in the history
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Change History Class
+ * One instance per open profile; undo/redo lasts as long as the instance.
+ */
+class ChangeHistory {
+  /**
+   * @param {ApplicantProfile} profile - Profile being edited
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - Name recorded with changes (default: ChangeHistory.getCurrentUser())
+   * @param {function} [options.guard] - Called with (changes, { action, reason, user }) before
+   *   changes are recorded; throw to refuse them (see ReviewWorkflow.protect())
+   */
+  constructor(profile, options = {}) {
+    this.profile = profile;
+    this.user = options.user || ChangeHistory.getCurrentUser();
+    this.guard = options.guard || null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.snapshot = flattenValues(profile.toJSON());
+
+    if (!Array.isArray(profile.metadata.history)) {
+      profile.metadata.history = [];
+    }
+  }
+
+  /**
+   * Record the edits made since the last commit
+   * Call after each field edit, or after a batch such as
+   * FieldMapper.mapFormToProfile. Each call is one undo step.
+   * @param {string} [reason] - Why the change was made, stored with each entry
+   * @returns {object[]} Recorded changes (empty if nothing changed)
+   * @throws {Error} If the guard refuses the changes; the edits stay pending
+   *   (commit again with a reason, or discard())
+   */
+  commit(reason = '') {
+    const changes = this.recordChanges('edit', reason);
+    if (changes.length > 0) {
+      this.undoStack.push(changes);
+      this.redoStack = [];
+    }
+    return changes;
+  }
+
+  /**
+   * Throw away the edits made since the last commit, without recording them
+   * @returns {string[]} Paths that were put back
+   */
+  discard() {
+    const current = flattenValues(this.profile.toJSON());
+    const paths = [...new Set([...Object.keys(this.snapshot), ...Object.keys(current)])]
+      .filter(path => !sameValue(this.snapshot[path], current[path]));
+    for (const path of paths) {
+      setPathValue(this.profile, path, this.snapshot[path]);
+    }
+    return paths;
+  }
+
+  /**
+   * Undo the last committed step of this session
+   * The undo is recorded in the history like any other edit.
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]|null} Recorded changes, or null if there is nothing to undo
+   * @throws {Error} If the guard refuses the changes; nothing is undone
+   */
+  undo(reason = '') {
+    this.commit(reason);
+    const step = this.undoStack[this.undoStack.length - 1];
+    if (!step) return null;
+
+    const changes = this.applyValues(step.map(change => [change.path, change.oldValue]), 'undo', reason);
+    this.redoStack.push(this.undoStack.pop());
+    return changes;
+  }
+
+  /**
+   * Redo the last undone step
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]|null} Recorded changes, or null if there is nothing to redo
+   * @throws {Error} If the guard refuses the changes; nothing is redone
+   */
+  redo(reason = '') {
+    if (this.commit(reason).length > 0) return null;
+    const step = this.redoStack[this.redoStack.length - 1];
+    if (!step) return null;
+
+    const changes = this.applyValues(step.map(change => [change.path, change.newValue]), 'redo', reason);
+    this.undoStack.push(this.redoStack.pop());
+    return changes;
+  }
+
+  /**
+   * @returns {boolean} True if undo() would change something
+   */
+  canUndo() {
+    return this.undoStack.length > 0 || this.hasPendingChanges();
+  }
+
+  /**
+   * @returns {boolean} True if redo() would change something
+   */
+  canRedo() {
+    return this.redoStack.length > 0 && !this.hasPendingChanges();
+  }
+
+  /**
+   * Get the recorded changes of one field, oldest first
+   * Changes to the field's parent or children are included
+   * (e.g. "personalInfo.contact.address" includes the street).
+   * @param {string} path - Field data path
+   * @returns {object[]} History entries { revision, path, oldValue, newValue, user, timestamp, action, reason? }
+   */
+  getFieldHistory(path) {
+    return this.profile.metadata.history.filter(entry =>
+      entry.path === path || entry.path.startsWith(`${path}.`) || path.startsWith(`${entry.path}.`));
+  }
+
+  /**
+   * List the recorded revisions, oldest first
+   * @returns {object[]} { revision, timestamp, user, action, paths }
+   */
+  getRevisions() {
+    const revisions = new Map();
+    for (const entry of this.profile.metadata.history) {
+      if (!revisions.has(entry.revision)) {
+        revisions.set(entry.revision, {
+          revision: entry.revision,
+          timestamp: entry.timestamp,
+          user: entry.user,
+          action: entry.action,
+          paths: []
+        });
+      }
+      revisions.get(entry.revision).paths.push(entry.path);
+    }
+    return [...revisions.values()];
+  }
+
+  /**
+   * Get the profile data as it was at an earlier point
+   * Edits not yet committed are committed first.
+   * @param {number|string|Date} point - Revision number (state after that
+   *   revision; 0 = before the first) or a time
+   * @returns {object} Profile data (toJSON shape, without metadata.history)
+   */
+  getStateAt(point) {
+    this.commit();
+    const data = JSON.parse(JSON.stringify(this.profile.toJSON()));
+    delete data.metadata.history;
+
+    const later = this.profile.metadata.history.filter(entry => this.isAfter(entry, point));
+    for (const entry of later.reverse()) {
+      setPathValue(data, entry.path, entry.oldValue);
+    }
+    return data;
+  }
+
+  /**
+   * Compare the profile at two points
+   * @param {number|string|Date} from - Earlier point (see getStateAt)
+   * @param {number|string|Date} [to] - Later point (default: now)
+   * @returns {object[]} Differences { path, from, to }
+   */
+  diff(from, to = Infinity) {
+    const before = flattenValues(this.getStateAt(from));
+    const after = flattenValues(this.getStateAt(to));
+
+    const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...paths]
+      .filter(path => !sameValue(before[path], after[path]))
+      .sort()
+      .map(path => ({ path, from: before[path], to: after[path] }));
+  }
+
+  /**
+   * Set one field (and anything below it) back to an earlier value
+   * @param {string} path - Field data path
+   * @param {number|string|Date} point - Point to restore (see getStateAt)
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]} Recorded changes
+   * @throws {Error} If the guard refuses the changes; nothing is restored
+   */
+  restoreField(path, point, reason = '') {
+    return this.restore(point, key => key === path || key.startsWith(`${path}.`), reason);
+  }
+
+  /**
+   * Set the whole profile back to an earlier state
+   * Earlier history is kept; the restore is recorded as new changes and can be undone.
+   * @param {number|string|Date} point - Point to restore (see getStateAt)
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]} Recorded changes
+   * @throws {Error} If the guard refuses the changes; nothing is restored
+   */
+  restoreProfile(point, reason = '') {
+    return this.restore(point, () => true, reason);
+  }
+
+  /**
+   * Get the name recorded with changes and notes on this computer
+   * @returns {string} User name ('' if not set)
+   */
+  static getCurrentUser() {
+    try {
+      return (typeof localStorage !== 'undefined' && localStorage.getItem(HISTORY_USER_KEY)) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Set the name recorded with changes and notes on this computer
+   * The name is not checked: it labels the history and the review log, and
+   * does not prove who is using the computer.
+   * @param {string} name - User name
+   * @returns {boolean} True if saved
+   */
+  static setCurrentUser(name) {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(HISTORY_USER_KEY, String(name || '').trim());
+        return true;
+      }
+    } catch (e) {
+      console.warn(`Could not save current user: ${e.message}`);
+    }
+    return false;
+  }
+
+  /**
+   * Set fields to the values they had at an earlier point
+   * @private
+   * @param {number|string|Date} point - Point to restore
+   * @param {function} include - Filter on paths
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]} Recorded changes
+   */
+  restore(point, include, reason = '') {
+    this.commit(reason);
+    const differences = this.diff(point).filter(difference => include(difference.path));
+    const changes = this.applyValues(differences.map(difference => [difference.path, difference.from]), 'restore', reason);
+    if (changes.length > 0) {
+      this.undoStack.push(changes);
+      this.redoStack = [];
+    }
+    return changes;
+  }
+
+  /**
+   * Write values into the profile and record them
+   * @private
+   * @param {Array} values - [path, value] pairs
+   * @param {string} action - "undo", "redo" or "restore"
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]} Recorded changes
+   */
+  applyValues(values, action, reason = '') {
+    for (const [path, value] of values) {
+      setPathValue(this.profile, path, value);
+    }
+    return this.recordChanges(action, reason);
+  }
+
+  /**
+   * Compare the profile with the last snapshot and append the changes to
+   * metadata.history
+   * If the guard refuses an undo, redo or restore, the values it wrote are
+   * put back; refused edits stay pending.
+   * @private
+   * @param {string} action - "edit", "undo", "redo" or "restore"
+   * @param {string} [reason] - Why the change was made
+   * @returns {object[]} Recorded changes
+   */
+  recordChanges(action, reason = '') {
+    const current = flattenValues(this.profile.toJSON());
+    const paths = new Set([...Object.keys(this.snapshot), ...Object.keys(current)]);
+    const previous = this.snapshot;
+    const changed = [...paths].filter(path => !sameValue(previous[path], current[path])).sort();
+    if (changed.length === 0) {
+      this.snapshot = current;
+      return [];
+    }
+
+    reason = String(reason || '').trim();
+    if (this.guard) {
+      try {
+        this.guard(changed.map(path => ({ path, oldValue: previous[path], newValue: current[path] })),
+          { action, reason, user: this.user });
+      } catch (error) {
+        if (action !== 'edit') {
+          for (const path of changed) {
+            setPathValue(this.profile, path, previous[path]);
+          }
+        }
+        throw error;
+      }
+    }
+    this.snapshot = current;
+
+    const history = this.profile.metadata.history;
+    const revision = history.length > 0 ? history[history.length - 1].revision + 1 : 1;
+    const timestamp = new Date().toISOString();
+    const changes = changed.map(path => ({
+      revision,
+      path,
+      oldValue: previous[path],
+      newValue: current[path],
+      user: this.user,
+      timestamp,
+      action,
+      ...(reason ? { reason } : {})
+    }));
+
+    history.push(...changes);
+    this.profile.metadata.updatedAt = timestamp;
+    this.profile.metadata.lastModifiedBy = this.user;
+    console.log(`[ChangeHistory] Revision ${revision}: ${changes.length} field(s) (${action})`);
+    return changes;
+  }
+
+  /**
+   * Check whether a history entry is later than a point
+   * @private
+   * @param {object} entry - History entry
+   * @param {number|string|Date} point - Revision number or time
+   * @returns {boolean} True if the entry is after the point
+   */
+  isAfter(entry, point) {
+    if (typeof point === 'number') {
+      return entry.revision > point;
+    }
+    return new Date(entry.timestamp) > new Date(point);
+  }
+
+  /**
+   * Check for edits not yet committed
+   * @private
+   * @returns {boolean} True if the profile differs from the last snapshot
+   */
+  hasPendingChanges() {
+    const current = flattenValues(this.profile.toJSON());
+    const paths = new Set([...Object.keys(this.snapshot), ...Object.keys(current)]);
+    return [...paths].some(path => !sameValue(this.snapshot[path], current[path]));
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChangeHistory;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ChangeHistory = ChangeHistory;
+}
@@ -0,0 +1,236 @@
+/**
+ * Condition Evaluator for I-765 Form Application
+ * Evaluates the `conditional` rules declared in the field configuration so
+ * validation, PDF filling and the UI agree on which fields are visible
+ * Last Updated: 2025-12-09
+ *
+ * Supported rules (on a part or a field):
+ *   { "depends_on": "6.", "show_if": "No" }                  - item number in the same part
+ *   { "depends_on": "27.", "show_if_pattern": "\\(c\\)\\(8\\)" } - regex on the item's value
+ *   { "data_path": "metadata.usedInterpreter", "show_if": true } - profile value
+ * `show_if` may also be an array of accepted values.
+ */
+
+class ConditionEvaluator {
+  constructor(config) {
+    this.config = config || { parts: [] };
+    this.fieldsById = new Map();
+    this.partsByFieldId = new Map();
+    this.buildIndex();
+  }
+
+  /**
+   * Index fields by id and remember the part each field belongs to
+   * @private
+   */
+  buildIndex() {
+    if (!this.config.parts) return;
+
+    for (const part of this.config.parts) {
+      if (!part.fields) continue;
+
+      for (const field of part.fields) {
+        if (!field.field_id) continue;
+        this.fieldsById.set(field.field_id, field);
+        this.partsByFieldId.set(field.field_id, part);
+      }
+    }
+  }
+
+  /**
+   * Check whether a field is visible for the given profile
+   * @param {string} fieldId - Field identifier
+   * @param {object} data - Applicant profile or plain profile data
+   * @returns {boolean} True if the field should be shown, validated and filled
+   */
+  isVisible(fieldId, data) {
+    const field = this.fieldsById.get(fieldId);
+    if (!field) return true;
+    return this.isFieldVisible(field, data);
+  }
+
+  /**
+   * Check whether a field is visible, including its part's condition and
+   * the visibility of the field it depends on (e.g. 15. depends on 14.)
+   * @param {object} field - Field configuration
+   * @param {object} data - Applicant profile or plain profile data
+   * @param {Set} [visiting] - Field ids already on the dependency chain
+   * @returns {boolean} True if visible
+   */
+  isFieldVisible(field, data, visiting = new Set()) {
+    if (visiting.has(field.field_id)) {
+      console.warn(`[ConditionEvaluator] Circular condition on ${field.field_id}`);
+      return true;
+    }
+    visiting.add(field.field_id);
+
+    const part = this.partsByFieldId.get(field.field_id);
+    if (part && !this.isPartVisible(part, data)) return false;
+
+    const condition = field.conditional;
+    if (!condition) return true;
+
+    if (condition.depends_on) {
+      const controller = this.findControllingField(condition.depends_on, part);
+      if (!controller) {
+        console.warn(`[ConditionEvaluator] ${field.field_id} depends on unknown item ${condition.depends_on}`);
+        return true;
+      }
+      if (!this.isFieldVisible(controller, data, visiting)) return false;
+      return this.matches(condition, this.getNestedValue(data, controller.data_path));
+    }
+
+    return this.evaluate(condition, data);
+  }
+
+  /**
+   * Check whether a config part is visible
+   * @param {object} part - Config part
+   * @param {object} data - Applicant profile or plain profile data
+   * @returns {boolean} True if visible
+   */
+  isPartVisible(part, data) {
+    if (!part || !part.conditional) return true;
+    return this.evaluate(part.conditional, data);
+  }
+
+  /**
+   * Evaluate a data_path condition
+   * @private
+   * @param {object} condition - Condition rule
+   * @param {object} data - Applicant profile or plain profile data
+   * @returns {boolean} True if the condition holds
+   */
+  evaluate(condition, data) {
+    if (!condition.data_path) return true;
+    return this.matches(condition, this.getNestedValue(data, condition.data_path));
+  }
+
+  /**
+   * Compare a value against a condition's show_if / show_if_pattern
+   * Booleans compare as "Yes"/"No" against string expectations so that
+   * Radio items backed by boolean profile fields behave as expected
+   * @private
+   * @param {object} condition - Condition rule
+   * @param {*} value - Controlling value
+   * @returns {boolean} True if the value satisfies the condition
+   */
+  matches(condition, value) {
+    if (condition.show_if_pattern !== undefined) {
+      if (value === null || value === undefined || value === '') return false;
+      return new RegExp(condition.show_if_pattern).test(String(value));
+    }
+
+    if (condition.show_if !== undefined) {
+      const expected = Array.isArray(condition.show_if) ? condition.show_if : [condition.show_if];
+      return expected.some(exp => {
+        if (typeof exp === 'string' && typeof value === 'boolean') {
+          return exp === (value ? 'Yes' : 'No');
+        }
+        return exp === value;
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the field an item number refers to
+   * Item numbers repeat across parts, so the field's own part number wins
+   * @private
+   * @param {string} itemNumber - Item number such as "6." or "13.a."
+   * @param {object} part - Part of the dependent field
+   * @returns {object|null} Controlling field configuration
+   */
+  findControllingField(itemNumber, part) {
+    const partNumber = this.getPartNumber(part);
+    let fallback = null;
+
+    for (const [fieldId, field] of this.fieldsById) {
+      if (field.item_number !== itemNumber) continue;
+      if (this.getPartNumber(this.partsByFieldId.get(fieldId)) === partNumber) return field;
+      if (!fallback) fallback = field;
+    }
+
+    return fallback;
+  }
+
+  /**
+   * Get ids of all fields visible for the given profile
+   * @param {object} data - Applicant profile or plain profile data
+   * @returns {string[]} Visible field ids
+   */
+  getVisibleFieldIds(data) {
+    return Array.from(this.fieldsById.values())
+      .filter(field => this.isFieldVisible(field, data))
+      .map(field => field.field_id);
+  }
+
+  /**
+   * Get ids of fields whose visibility depends on a field
+   * Lets the UI re-check only the affected fields after an edit
+   * @param {string} fieldId - Controlling field identifier
+   * @returns {string[]} Dependent field ids
+   */
+  getDependentFieldIds(fieldId) {
+    const controller = this.fieldsById.get(fieldId);
+    if (!controller) return [];
+
+    const dependents = [];
+    for (const [id, field] of this.fieldsById) {
+      const condition = field.conditional;
+      if (!condition) continue;
+
+      if (condition.depends_on) {
+        const found = this.findControllingField(condition.depends_on, this.partsByFieldId.get(id));
+        if (found === controller) dependents.push(id);
+      } else if (condition.data_path && condition.data_path === controller.data_path) {
+        dependents.push(id);
+      }
+    }
+
+    return dependents;
+  }
+
+  /**
+   * Get the part number from a config part title (e.g. "Part 2. ..." -> "2")
+   * @private
+   * @param {object} part - Config part
+   * @returns {string} Part number
+   */
+  getPartNumber(part) {
+    const match = String((part && part.part) || '').match(/^Part\s+(\d+)/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Get nested value from object using dot notation path
+   * @private
+   * @param {object} obj - Object to traverse
+   * @param {string} path - Dot notation path
+   * @returns {*} Value or undefined
+   */
+  getNestedValue(obj, path) {
+    if (!path || !obj) return undefined;
+
+    const parts = path.split('.');
+    let current = obj;
+
+    for (const part of parts) {
+      if (current === null || current === undefined) return undefined;
+      current = current[part];
+    }
+
+    return current;
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConditionEvaluator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ConditionEvaluator = ConditionEvaluator;
+}
@@ -0,0 +1,290 @@
+/**
+ * Crypto Vault for I-765 Form Application
+ * Encrypts applicant data at rest with a key derived from the office
+ * passphrase (WebCrypto PBKDF2 + AES-GCM). The key is never stored; lock()
+ * drops it from memory.
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Key derivation defaults
+ * The parameters are saved with the vault, so existing vaults keep working
+ * when these change.
+ */
+const VAULT_KDF = {
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 600000,
+  saltLength: 16
+};
+
+/**
+ * AES-GCM nonce length in bytes
+ */
+const VAULT_IV_LENGTH = 12;
+
+/**
+ * Known text encrypted with the key, used to tell a wrong passphrase from
+ * damaged data
+ */
+const VAULT_CHECK_TEXT = 'i765-vault-check';
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Crypto Vault Class
+ */
+class CryptoVault {
+  /**
+   * @param {object} [options] - Options
+   * @param {Crypto} [options.crypto] - WebCrypto implementation (default: the browser's)
+   * @param {number} [options.iterations] - PBKDF2 iterations for new keys
+   */
+  constructor(options = {}) {
+    this.crypto = options.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+    this.iterations = options.iterations || VAULT_KDF.iterations;
+    this.key = null;
+    this.header = null;
+  }
+
+  /**
+   * Check whether the key is in memory
+   * @returns {boolean} True if unlocked
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Create a new key from a passphrase and unlock with it
+   * Store the returned header; it is needed to unlock later.
+   * @param {string} passphrase - Office passphrase
+   * @returns {Promise<object>} Vault header { version, kdf, hash, iterations, salt, check }
+   */
+  async create(passphrase) {
+    this.checkPassphrase(passphrase);
+    const salt = this.getCrypto().getRandomValues(new Uint8Array(VAULT_KDF.saltLength));
+    const header = {
+      version: 1,
+      kdf: VAULT_KDF.name,
+      hash: VAULT_KDF.hash,
+      iterations: this.iterations,
+      salt: bytesToBase64(salt)
+    };
+
+    const key = await this.deriveKey(passphrase, header);
+    header.check = await this.encryptWith(key, VAULT_CHECK_TEXT);
+
+    this.key = key;
+    this.header = header;
+    console.log('[CryptoVault] Created new key');
+    return header;
+  }
+
+  /**
+   * Unlock with the office passphrase
+   * @param {string} passphrase - Office passphrase
+   * @param {object} header - Vault header from create()
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase is wrong
+   */
+  async unlock(passphrase, header) {
+    if (!header || !header.salt || !header.check) {
+      throw new Error('Vault header is missing or damaged');
+    }
+
+    const key = await this.deriveKey(passphrase, header);
+    let check;
+    try {
+      check = await this.decryptWith(key, header.check);
+    } catch (error) {
+      check = null;
+    }
+    if (check !== VAULT_CHECK_TEXT) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    this.key = key;
+    this.header = header;
+    console.log('[CryptoVault] Unlocked');
+  }
+
+  /**
+   * Drop the key from memory
+   */
+  lock() {
+    if (this.key) {
+      console.log('[CryptoVault] Locked');
+    }
+    this.key = null;
+    this.header = null;
+  }
+
+  /**
+   * Encrypt a value with the unlocked key
+   * @param {*} value - JSON-serializable value
+   * @param {string} [context] - Text bound to the ciphertext (e.g. the record id);
+   *   decrypt() must be given the same text
+   * @returns {Promise<object>} { iv, data } (base64)
+   */
+  async encrypt(value, context = '') {
+    return this.encryptWith(this.requireKey(), JSON.stringify(value), context);
+  }
+
+  /**
+   * Decrypt a value encrypted with encrypt()
+   * @param {object} payload - { iv, data } from encrypt()
+   * @param {string} [context] - Text given to encrypt()
+   * @returns {Promise<*>} Value
+   * @throws {Error} If the data was changed or belongs to another key or context
+   */
+  async decrypt(payload, context = '') {
+    let text;
+    try {
+      text = await this.decryptWith(this.requireKey(), payload, context);
+    } catch (error) {
+      if (!this.isUnlocked()) throw error;
+      throw new Error('Encrypted data is damaged or was encrypted with another key');
+    }
+    return JSON.parse(text);
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase
+   * The key cannot be exported.
+   * @private
+   * @param {string} passphrase - Passphrase
+   * @param {object} header - Vault header (kdf parameters and salt)
+   * @returns {Promise<CryptoKey>} Key
+   */
+  async deriveKey(passphrase, header) {
+    this.checkPassphrase(passphrase);
+    const subtle = this.getCrypto().subtle;
+    const material = await subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), { name: header.kdf || VAULT_KDF.name }, false, ['deriveKey']
+    );
+
+    return subtle.deriveKey(
+      {
+        name: header.kdf || VAULT_KDF.name,
+        hash: header.hash || VAULT_KDF.hash,
+        iterations: header.iterations,
+        salt: base64ToBytes(header.salt)
+      },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt text with a key
+   * @private
+   * @param {CryptoKey} key - Key
+   * @param {string} text - Plain text
+   * @param {string} [context] - Additional authenticated data
+   * @returns {Promise<object>} { iv, data }
+   */
+  async encryptWith(key, text, context = '') {
+    const iv = this.getCrypto().getRandomValues(new Uint8Array(VAULT_IV_LENGTH));
+    const data = await this.getCrypto().subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(text)
+    );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  /**
+   * Decrypt text with a key
+   * @private
+   * @param {CryptoKey} key - Key
+   * @param {object} payload - { iv, data }
+   * @param {string} [context] - Additional authenticated data
+   * @returns {Promise<string>} Plain text
+   */
+  async decryptWith(key, payload, context = '') {
+    const text = await this.getCrypto().subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(payload.iv), additionalData: new TextEncoder().encode(context) },
+      key,
+      base64ToBytes(payload.data)
+    );
+    return new TextDecoder().decode(text);
+  }
+
+  /**
+   * Get the unlocked key
+   * @private
+   * @returns {CryptoKey} Key
+   * @throws {Error} If locked
+   */
+  requireKey() {
+    if (!this.key) {
+      throw new Error('Storage is locked; enter the office passphrase');
+    }
+    return this.key;
+  }
+
+  /**
+   * Get the WebCrypto implementation
+   * @private
+   * @returns {Crypto} Crypto
+   */
+  getCrypto() {
+    if (!this.crypto || !this.crypto.subtle) {
+      throw new Error('WebCrypto is not available (open the app from a local file, localhost or HTTPS)');
+    }
+    return this.crypto;
+  }
+
+  /**
+   * Reject empty passphrases
+   * @private
+   * @param {string} passphrase - Passphrase
+   */
+  checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('Passphrase is required');
+    }
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CryptoVault,
+    VAULT_KDF
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.CryptoVault = CryptoVault;
+  window.VAULT_KDF = VAULT_KDF;
+}
@@ -1,7 +1,8 @@
 /**
  * Data Models for I-765 Employment Authorization Document (EAD) Form
  * Contains ApplicantProfile class with personal information, immigration details,
- * eligibility information, and metadata
+ * eligibility information, and metadata, plus the representative, petitioner and
+ * sponsor sections used by the other bundled forms so data is entered only once
  */
 
 class ApplicantProfile {
@@ -13,6 +14,9 @@ class ApplicantProfile {
       lastName: '',
       dateOfBirth: '', // Format: YYYY-MM-DD
       gender: '', // M, F, Other
+      maritalStatus: '', // Single, Married, Divorced, Widowed
+      nativeLanguage: '', // Include dialect (I-589)
+      fluentInEnglish: '', // Yes, No (I-589)
       citizenship: '',
       passport: {
         number: '',
@@ -77,6 +81,9 @@ class ApplicantProfile {
       uscisNumber: '', // A-Number
       uscisAccountNumber: '',
       i94Number: '',
+      i94ExpirationDate: '', // Authorized stay on Form I-94 - Format: YYYY-MM-DD
+      visaNumber: '', // Nonimmigrant visa used at last arrival
+      permanentResidentDate: '', // Date of becoming an LPR (N-400) - Format: YYYY-MM-DD
       currentStatus: '', // e.g., F-1, H-1B, L-1, Asylee, etc.
       statusValidFrom: '', // Format: YYYY-MM-DD
       statusValidTo: '', // Format: YYYY-MM-DD
@@ -102,7 +109,7 @@ class ApplicantProfile {
         expirationDate: '' // Format: YYYY-MM-DD
       },
       refugeeAsyleeStatus: {
-        isRefugeeAoffer: false,
+        isRefugeeAdmitted: false,
         dateOfGrant: '', // Format: YYYY-MM-DD
         isAsyleeGranted: false,
         dateAsylumGranted: '' // Format: YYYY-MM-DD
@@ -114,7 +121,7 @@ class ApplicantProfile {
       category: '', // Category code (e.g., (c)(1)(ii), (c)(26), etc.)
       categoryDescription: '', // Human-readable category description
       basisForEligibility: {
-        deferredActionForChildroodsArrivals: false,
+        deferredActionForChildhoodArrivals: false,
         asylumAdjudication: false,
         refugeeStatus: false,
         specialImmigrantStatus: false,
@@ -130,7 +137,7 @@ class ApplicantProfile {
         invalidatingFactors: [] // List of factors that may invalidate eligibility
       },
       criminalBackground: {
-        hasConverterion: false,
+        hasConviction: false,
         convictionDetails: ''
       },
       applicationPurpose: '', // Reason for applying for work authorization
@@ -151,28 +158,195 @@ class ApplicantProfile {
         i797ReceiptNumber: '',
         hasBeenArrested: ''
       },
-      abcSettlementAgreement: false
+      abcSettlementAgreement: false,
+      naturalizationBasis: '' // N-400 Part 1 letter (A-G)
+    };
+
+    // Interpreter Information (Part 4) - only used when metadata.usedInterpreter is true
+    this.interpreter = {
+      lastName: '',
+      firstName: '',
+      businessName: '',
+      mailingAddress: {
+        street: '',
+        apt: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        province: '',
+        postalCode: '',
+        country: ''
+      },
+      daytimePhone: '',
+      mobilePhone: '',
+      email: '',
+      language: '', // Must match the language named in Part 3, Item 1.b.
+      signature: '',
+      signatureDate: '' // Format: YYYY-MM-DD
+    };
+
+    // Preparer Information (Part 5) - only used when metadata.usedPreparer is true
+    // Pre-filled from the saved default preparer so a firm enters its details once
+    const preparer = {
+      lastName: '',
+      firstName: '',
+      businessName: '',
+      mailingAddress: {
+        street: '',
+        apt: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        province: '',
+        postalCode: '',
+        country: ''
+      },
+      daytimePhone: '',
+      mobilePhone: '',
+      email: '',
+      statement: '', // NOT_ATTORNEY (Item 7.a.) or ATTORNEY (Item 7.b.)
+      representationExtends: '', // Yes, No - only when statement is ATTORNEY
+      signature: '',
+      signatureDate: '' // Format: YYYY-MM-DD
+    };
+    this.preparer = this._loadDefaultPreparer(preparer) || preparer;
+
+    // Attorney or Accredited Representative (G-28) - only used when metadata.hasRepresentative is true
+    // Pre-filled from the saved default representative so a firm enters its attorney once
+    const representative = {
+      uscisAccountNumber: '',
+      lastName: '',
+      firstName: '',
+      middleName: '',
+      address: {
+        street: '',
+        apt: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        province: '',
+        postalCode: '',
+        country: ''
+      },
+      daytimePhone: '',
+      mobilePhone: '',
+      email: '',
+      faxNumber: '',
+      type: '', // ATTORNEY, ACCREDITED_REPRESENTATIVE
+      licensingAuthority: '',
+      barNumber: '',
+      subjectToOrder: '', // Yes, No
+      lawFirm: '',
+      recognizedOrganization: '',
+      accreditationExpires: '', // Format: YYYY-MM-DD
+      volagNumber: '',
+      appearance: {
+        agency: '', // USCIS, ICE, CBP
+        formNumbers: '', // e.g. "I-765, I-485"
+        matter: '', // Specific ICE or CBP matter
+        receiptNumber: '',
+        clientRole: '' // APPLICANT, PETITIONER, REQUESTOR, BENEFICIARY, RESPONDENT
+      },
+      signature: '',
+      signatureDate: '' // Format: YYYY-MM-DD
+    };
+    const defaultRepresentative = this._loadDefaultRepresentative(representative);
+    this.representative = defaultRepresentative || representative;
+
+    // Petitioner (I-130) - the U.S. citizen or LPR relative; the applicant is the beneficiary
+    this.petitioner = {
+      relationship: '', // SPOUSE, PARENT, SIBLING, CHILD
+      uscisNumber: '', // A-Number
+      uscisAccountNumber: '',
+      ssn: '',
+      lastName: '',
+      firstName: '',
+      middleName: '',
+      dateOfBirth: '', // Format: YYYY-MM-DD
+      gender: '', // M, F
+      birthPlace: {
+        city: '',
+        country: ''
+      },
+      mailingAddress: {
+        inCareOf: '',
+        street: '',
+        apt: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        province: '',
+        postalCode: '',
+        country: ''
+      },
+      mailingSameAsPhysical: '', // Yes, No
+      daytimePhone: '',
+      mobilePhone: '',
+      email: '',
+      signature: '',
+      signatureDate: '' // Format: YYYY-MM-DD
+    };
+
+    // Sponsor (I-864) - the applicant is the principal immigrant
+    this.sponsor = {
+      basis: '', // PETITIONER, WORKER_PETITION, OWNERSHIP_INTEREST, ONLY_JOINT_SPONSOR, ONE_OF_TWO_JOINT_SPONSORS, SUBSTITUTE_SPONSOR
+      lastName: '',
+      firstName: '',
+      middleName: '',
+      mailingAddress: {
+        inCareOf: '',
+        street: '',
+        apt: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        province: '',
+        postalCode: '',
+        country: ''
+      },
+      countryOfDomicile: '',
+      dateOfBirth: '', // Format: YYYY-MM-DD
+      birthPlace: {
+        country: ''
+      },
+      ssn: '',
+      citizenshipStatus: '', // CITIZEN, NATIONAL, LPR
+      uscisNumber: '', // A-Number
+      uscisAccountNumber: '',
+      daytimePhone: '',
+      mobilePhone: '',
+      email: '',
+      signature: '',
+      signatureDate: '' // Format: YYYY-MM-DD
     };
 
     // Form Metadata
     this.metadata = {
+      schemaVersion: this._getSchemaVersion(), // See core/profile-schema.js
       formVersion: '765 (I-765 Employment Authorization Document)',
       formVersionDate: '2025-12-09',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      lastModifiedBy: 'Miahelloworld',
-      status: 'DRAFT', // DRAFT, SUBMITTED, APPROVED, DENIED, PENDING_REVIEW
+      lastModifiedBy: this._getCurrentUser(),
+      status: 'DRAFT', // DRAFT, PENDING_REVIEW, READY_TO_FILE, SUBMITTED, APPROVED, DENIED - see core/review-workflow.js
       submissionDate: null,
       caseNumber: '', // USCIS case number once assigned
       applicationId: this._generateApplicationId(),
       notes: [],
+      history: [], // Field-level change log, see core/change-history.js
+      review: { // Attorney review, see core/review-workflow.js
+        comments: [],
+        signOffs: [],
+        statusLog: []
+      },
       attachments: [],
       completionPercentage: 0,
       signature: '',
       signatureDate: '',
       canReadEnglish: false,
       usedInterpreter: false,
-      usedPreparer: false
+      usedPreparer: false,
+      hasRepresentative: Boolean(defaultRepresentative) // Form G-28 attached; fills the attorney boxes on page 1
     };
 
     // Supporting Documents
@@ -194,12 +368,38 @@ class ApplicantProfile {
       employerName: '',
       employerEIN: '',
       employerAddress: {
+        inCareOf: '',
         street: '',
+        apt: '',
         city: '',
         state: '',
         zipCode: '',
+        province: '',
+        postalCode: '',
         country: ''
       },
+      // Petitioning employer details (I-140)
+      employerDetails: {
+        uscisAccountNumber: '',
+        petitionType: '', // Part 2 letter (a-h)
+        typeOfBusiness: '',
+        dateEstablished: '', // Format: YYYY-MM-DD
+        numberOfEmployees: '',
+        grossAnnualIncome: '',
+        netAnnualIncome: '',
+        naicsCode: '',
+        laborCertificationNumber: '',
+        signatory: {
+          lastName: '',
+          firstName: '',
+          title: '',
+          daytimePhone: '',
+          mobilePhone: '',
+          email: '',
+          signature: '',
+          signatureDate: '' // Format: YYYY-MM-DD
+        }
+      },
       startDate: '', // Format: YYYY-MM-DD
       expectedEndDate: '', // Format: YYYY-MM-DD
       positionType: '', // Full-time, Part-time, Temporary, etc.
@@ -215,6 +415,10 @@ class ApplicantProfile {
       filingFee: 0,
       biometricFee: 0,
       totalFee: 0,
+      filingMethod: 'PAPER', // PAPER, ONLINE
+      feeWaiverRequested: false, // Form I-912 filed with the application
+      filedWithI485: false, // Filed together with a fee-paid Form I-485
+      feeScheduleVersion: '', // Fee schedule used by FeeCalculator
       paymentMethod: '', // CARD, CHECK, MONEY_ORDER, DRAFT
       paymentDate: null,
       receiptNumber: '',
@@ -299,6 +503,96 @@ class ApplicantProfile {
     };
   }
 
+  /**
+   * Validate interpreter information (Part 4)
+   * Skipped when the applicant did not use an interpreter
+   * @returns {object} Validation result with isValid flag and errors array
+   */
+  validateInterpreter() {
+    const errors = [];
+    const interpreter = this.interpreter;
+
+    if (!this.metadata.usedInterpreter) {
+      return { isValid: true, errors: errors };
+    }
+
+    if (!interpreter.lastName) errors.push('Interpreter last name is required');
+    if (!interpreter.firstName) errors.push('Interpreter first name is required');
+    if (!interpreter.mailingAddress.street) errors.push('Interpreter street address is required');
+    if (!interpreter.mailingAddress.city) errors.push('Interpreter city is required');
+    if (!interpreter.mailingAddress.country) errors.push('Interpreter country is required');
+    if (!interpreter.daytimePhone) errors.push('Interpreter daytime phone number is required');
+    if (!interpreter.language) errors.push('Interpreter language is required');
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Validate preparer information (Part 5)
+   * Skipped when the application was not prepared by someone else
+   * @returns {object} Validation result with isValid flag and errors array
+   */
+  validatePreparer() {
+    const errors = [];
+    const preparer = this.preparer;
+
+    if (!this.metadata.usedPreparer) {
+      return { isValid: true, errors: errors };
+    }
+
+    if (!preparer.lastName) errors.push('Preparer last name is required');
+    if (!preparer.firstName) errors.push('Preparer first name is required');
+    if (!preparer.mailingAddress.street) errors.push('Preparer street address is required');
+    if (!preparer.mailingAddress.city) errors.push('Preparer city is required');
+    if (!preparer.mailingAddress.country) errors.push('Preparer country is required');
+    if (!preparer.daytimePhone) errors.push('Preparer daytime phone number is required');
+    if (!preparer.statement) errors.push('Preparer statement (Item 7.a. or 7.b.) is required');
+    if (preparer.statement === 'ATTORNEY' && !preparer.representationExtends) {
+      errors.push('Attorney preparers must state whether representation extends beyond this application');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Validate attorney or accredited representative information (G-28)
+   * Skipped when no Form G-28 is attached
+   * @returns {object} Validation result with isValid flag and errors array
+   */
+  validateRepresentative() {
+    const errors = [];
+    const representative = this.representative;
+
+    if (!this.metadata.hasRepresentative) {
+      return { isValid: true, errors: errors };
+    }
+
+    if (!representative.lastName) errors.push('Representative last name is required');
+    if (!representative.firstName) errors.push('Representative first name is required');
+    if (!representative.address.street) errors.push('Representative street address is required');
+    if (!representative.address.city) errors.push('Representative city is required');
+    if (!representative.address.country) errors.push('Representative country is required');
+    if (!representative.daytimePhone) errors.push('Representative daytime phone number is required');
+    if (!representative.type) errors.push('Representative type (attorney or accredited representative) is required');
+    if (representative.type === 'ATTORNEY' && !representative.licensingAuthority) {
+      errors.push('Attorney licensing authority is required');
+    }
+    if (representative.type === 'ACCREDITED_REPRESENTATIVE' && !representative.recognizedOrganization) {
+      errors.push('Recognized organization of the accredited representative is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
   /**
    * Validate all sections
    * @returns {object} Comprehensive validation result
@@ -307,11 +601,17 @@ class ApplicantProfile {
     const personalValidation = this.validatePersonalInfo();
     const immigrationValidation = this.validateImmigrationDetails();
     const eligibilityValidation = this.validateEligibility();
+    const interpreterValidation = this.validateInterpreter();
+    const preparerValidation = this.validatePreparer();
+    const representativeValidation = this.validateRepresentative();
 
     const allErrors = [
       ...personalValidation.errors,
       ...immigrationValidation.errors,
-      ...eligibilityValidation.errors
+      ...eligibilityValidation.errors,
+      ...interpreterValidation.errors,
+      ...preparerValidation.errors,
+      ...representativeValidation.errors
     ];
 
     return {
@@ -319,7 +619,10 @@ class ApplicantProfile {
       sections: {
         personalInfo: personalValidation,
         immigrationDetails: immigrationValidation,
-        eligibility: eligibilityValidation
+        eligibility: eligibilityValidation,
+        interpreter: interpreterValidation,
+        preparer: preparerValidation,
+        representative: representativeValidation
       },
       totalErrors: allErrors.length,
       allErrors: allErrors
@@ -403,6 +706,11 @@ class ApplicantProfile {
       eligibilityInfo: this.eligibilityInfo,
       employmentInfo: this.employmentInfo,
       paymentInfo: this.paymentInfo,
+      interpreter: this.interpreter,
+      preparer: this.preparer,
+      representative: this.representative,
+      petitioner: this.petitioner,
+      sponsor: this.sponsor,
       supportingDocuments: this.supportingDocuments,
       metadata: this.metadata
     };
@@ -410,17 +718,182 @@ class ApplicantProfile {
 
   /**
    * Import profile data from JSON
+   * Older saves are upgraded to the current schema version first, then each
+   * section is deep-merged into this profile's values, so nested keys missing
+   * from the save keep their defaults. Keys the schema does not know are dropped.
+   * Without core/profile-schema.js each section is copied over its defaults as
+   * saved, with no migration, and the report has no versions.
    * @param {object} data - Profile data to import
+   * @returns {object} Import report { fromVersion, toVersion, migrations, discarded }
    */
   fromJSON(data) {
-    if (data.personalInfo) this.personalInfo = { ...this.personalInfo, ...data.personalInfo };
-    if (data.immigrationDetails) this.immigrationDetails = { ...this.immigrationDetails, ...data.immigrationDetails };
-    if (data.eligibilityInfo) this.eligibilityInfo = { ...this.eligibilityInfo, ...data.eligibilityInfo };
-    if (data.employmentInfo) this.employmentInfo = { ...this.employmentInfo, ...data.employmentInfo };
-    if (data.paymentInfo) this.paymentInfo = { ...this.paymentInfo, ...data.paymentInfo };
-    if (data.supportingDocuments) this.supportingDocuments = { ...this.supportingDocuments, ...data.supportingDocuments };
-    if (data.metadata) this.metadata = { ...this.metadata, ...data.metadata };
+    const schema = this._getSchema();
+    const sections = Object.keys(this.toJSON());
+    if (!schema) {
+      for (const section of sections) {
+        if (data[section]) this[section] = { ...this[section], ...data[section] };
+      }
+      this.metadata.updatedAt = new Date().toISOString();
+      return { fromVersion: null, toVersion: null, migrations: [], discarded: [] };
+    }
+
+    const migrated = schema.migrate(data);
+    const discarded = Object.keys(migrated.data).filter(section => !sections.includes(section));
+
+    for (const section of sections) {
+      if (migrated.data[section]) {
+        this[section] = schema.merge(this[section], migrated.data[section], section, discarded);
+      }
+    }
+
+    this.metadata.updatedAt = new Date().toISOString();
+    if (discarded.length > 0) {
+      console.warn(`[ApplicantProfile] Dropped unknown keys: ${discarded.join(', ')}`);
+    }
+    return {
+      fromVersion: migrated.fromVersion,
+      toVersion: migrated.toVersion,
+      migrations: migrated.applied,
+      discarded
+    };
+  }
+
+  /**
+   * Save this profile's preparer as the default for new profiles
+   * Kept in the case store's encrypted settings, so the store must be unlocked.
+   * Signature and date are per-application and are not saved
+   * @returns {Promise<boolean>} True if saved successfully
+   */
+  async saveAsDefaultPreparer() {
+    try {
+      const store = this._getCaseStore();
+      if (store) {
+        const preparer = { ...this.preparer, signature: '', signatureDate: '' };
+        await store.setSetting('defaultPreparer', preparer);
+        return true;
+      }
+    } catch (e) {
+      console.warn(`Could not save default preparer: ${e.message}`);
+    }
+    return false;
+  }
+
+  /**
+   * Load the saved default preparer
+   * The saved copy is merged into the current defaults, so fields added
+   * since it was saved are present and fields since removed are dropped.
+   * @private
+   * @param {object} defaults - Empty preparer
+   * @returns {object|null} Saved preparer or null (also while the case store is locked)
+   */
+  _loadDefaultPreparer(defaults) {
+    return this._loadDefault('defaultPreparer', 'preparer', defaults);
+  }
+
+  /**
+   * Save this profile's representative as the default for new profiles
+   * Kept in the case store's encrypted settings, so the store must be unlocked.
+   * Signature, date and case-specific appearance details are not saved
+   * @returns {Promise<boolean>} True if saved successfully
+   */
+  async saveAsDefaultRepresentative() {
+    try {
+      const store = this._getCaseStore();
+      if (store) {
+        const representative = {
+          ...this.representative,
+          appearance: { agency: '', formNumbers: '', matter: '', receiptNumber: '', clientRole: '' },
+          signature: '',
+          signatureDate: ''
+        };
+        await store.setSetting('defaultRepresentative', representative);
+        return true;
+      }
+    } catch (e) {
+      console.warn(`Could not save default representative: ${e.message}`);
+    }
+    return false;
+  }
+
+  /**
+   * Load the saved default representative, merged into the current defaults
+   * @private
+   * @param {object} defaults - Empty representative
+   * @returns {object|null} Saved representative or null (also while the case store is locked)
+   */
+  _loadDefaultRepresentative(defaults) {
+    return this._loadDefault('defaultRepresentative', 'representative', defaults);
+  }
+
+  /**
+   * Load a default saved in the case store's encrypted settings and merge it
+   * into the current defaults
+   * @private
+   * @param {string} setting - Setting name
+   * @param {string} path - Profile section, for the report of dropped fields
+   * @param {object} defaults - Empty section
+   * @returns {object|null} Merged section or null
+   */
+  _loadDefault(setting, path, defaults) {
+    try {
+      const store = this._getCaseStore();
+      const saved = store ? store.getSetting(setting) : null;
+      if (!saved) return null;
+
+      const discarded = [];
+      const schema = this._getSchema();
+      if (!schema) return null;
+      const merged = schema.merge(defaults, saved, path, discarded);
+      if (discarded.length > 0) {
+        console.warn(`[ApplicantProfile] Dropped unknown keys from the default ${path}: ${discarded.join(', ')}`);
+      }
+      return merged;
+    } catch (e) {
+      console.warn(`Could not load default ${path}: ${e.message}`);
+    }
+    return null;
+  }
 
+  /**
+   * Get the case store holding the office settings
+   * @private
+   * @returns {CaseStore|null} Case store, or null if it is not loaded
+   */
+  _getCaseStore() {
+    if (typeof caseStore !== 'undefined') return caseStore;
+    return typeof require === 'function' ? require('./case-store').caseStore : null;
+  }
+
+  /**
+   * Store a signature image and date it today
+   * The image is a PNG or JPEG data URL from SignatureCapture; PDFProcessor
+   * draws it in the signer's signature box and the date fills the box beside it.
+   * @param {string} signer - applicant, interpreter, preparer, representative, petitioner or sponsor
+   * @param {string} imageDataUrl - PNG or JPEG data URL, or '' to remove the signature
+   */
+  setSignature(signer, imageDataUrl) {
+    const sections = {
+      applicant: this.metadata,
+      interpreter: this.interpreter,
+      preparer: this.preparer,
+      representative: this.representative,
+      petitioner: this.petitioner,
+      sponsor: this.sponsor
+    };
+    const section = sections[signer];
+    if (!section) {
+      throw new Error(`Unknown signer: ${signer}`);
+    }
+    if (imageDataUrl && !/^data:image\/(png|jpeg);base64,/.test(imageDataUrl)) {
+      throw new Error('Signature must be a PNG or JPEG data URL');
+    }
+
+    const today = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    section.signature = imageDataUrl || '';
+    section.signatureDate = imageDataUrl
+      ? `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`
+      : '';
     this.metadata.updatedAt = new Date().toISOString();
   }
 
@@ -432,10 +905,42 @@ class ApplicantProfile {
     this.metadata.notes.push({
       text: note,
       timestamp: new Date().toISOString(),
-      author: 'Miahelloworld'
+      author: this._getCurrentUser()
     });
   }
 
+  /**
+   * Get the name of the person using this computer (for notes)
+   * @private
+   * @returns {string} User name ('' if core/change-history.js is not loaded)
+   */
+  _getCurrentUser() {
+    if (typeof ChangeHistory !== 'undefined') return ChangeHistory.getCurrentUser();
+    return typeof require === 'function' ? require('./change-history').getCurrentUser() : '';
+  }
+
+  /**
+   * Get the profile schema (versions and migrations)
+   * @private
+   * @returns {ProfileSchema|null} Schema, or null if it is not loaded
+   */
+  _getSchema() {
+    if (typeof profileSchema !== 'undefined') return profileSchema;
+    return typeof require === 'function' ? require('./profile-schema').profileSchema : null;
+  }
+
+  /**
+   * Get the schema version new profiles are stamped with
+   * Without core/profile-schema.js the version is left empty and the profile
+   * reads as version 1; the migrations only rename keys it does not have.
+   * @private
+   * @returns {number|null} Current schema version, or null if the schema is not loaded
+   */
+  _getSchemaVersion() {
+    const schema = this._getSchema();
+    return schema ? schema.version : null;
+  }
+
   /**
    * Reset form to initial state
    */
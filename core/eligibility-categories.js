@@ -0,0 +1,912 @@
+/**
+ * I-765 Eligibility Category Catalog
+ * Every eligibility category listed in the Form I-765 Instructions (edition 01/20/25),
+ * with bilingual descriptions, supplemental items (28.-31.), required evidence
+ * and whether a biometric services appointment is expected
+ * Last Updated: 2025-12-09
+ */
+
+const CATEGORY_GROUPS = {
+  asylee_refugee: { en: 'Asylee/Refugee Categories', zh: '庇护/难民类别' },
+  nationality: { en: 'Nationality Categories', zh: '国籍类别' },
+  student: { en: 'Foreign Students Categories', zh: '外国学生类别' },
+  diplomatic: { en: 'Dependents of Diplomatic Missions, International Organizations, or NATO', zh: '外交使团、国际组织或北约雇员家属类别' },
+  employment: { en: 'Employment-Based Nonimmigrant Categories', zh: '职业类非移民类别' },
+  family: { en: 'Family-Based Nonimmigrant Categories', zh: '亲属类非移民类别' },
+  adjustment: { en: 'Adjustment of Status Categories', zh: '调整身份类别' },
+  other: { en: 'Other Categories', zh: '其他类别' }
+};
+
+/**
+ * Catalog entries
+ * supplemental_items lists the Part 2 item numbers that must be answered for the category
+ */
+const ELIGIBILITY_CATEGORIES = [
+  // Asylee/Refugee Categories
+  {
+    code: '(a)(3)',
+    group: 'asylee_refugee',
+    description_en: 'Refugee',
+    description_zh: '难民',
+    supplemental_items: [],
+    evidence_en: ['Stamped Form I-94, Final Notice of Eligibility for Resettlement, or Form I-797 approving derivative refugee status (Form I-730)'],
+    evidence_zh: ['盖章的 I-94、难民安置最终资格通知，或批准 I-730 衍生难民身份的 I-797 通知'],
+    biometrics: false,
+    keywords: ['refugee', 'I-730', '难民']
+  },
+  {
+    code: '(a)(4)',
+    group: 'asylee_refugee',
+    description_en: 'Paroled as a Refugee',
+    description_zh: '以难民身份假释入境',
+    supplemental_items: [],
+    evidence_en: ['Copy of Form I-94, passport, or travel document'],
+    evidence_zh: ['I-94、护照或旅行证件复印件'],
+    biometrics: false,
+    keywords: ['parole', 'refugee', '假释', '难民']
+  },
+  {
+    code: '(a)(5)',
+    group: 'asylee_refugee',
+    description_en: 'Asylee (Granted Asylum)',
+    description_zh: '已获批庇护者',
+    supplemental_items: [],
+    evidence_en: ['Stamped Form I-94 showing asylee status, USCIS asylum approval letter, EOIR order granting asylum, or Form I-797 approving derivative asylee status (Form I-730)'],
+    evidence_zh: ['显示庇护身份的盖章 I-94、USCIS 庇护批准信、移民法官批准庇护的命令，或批准 I-730 衍生庇护身份的 I-797 通知'],
+    biometrics: false,
+    keywords: ['asylee', 'asylum granted', 'I-730', '庇护', '已获批']
+  },
+  {
+    code: '(a)(10)',
+    group: 'asylee_refugee',
+    description_en: 'Granted Withholding of Deportation or Removal',
+    description_zh: '已获批暂缓遣返',
+    supplemental_items: [],
+    evidence_en: ["Copy of the EOIR immigration judge's signed order granting withholding of deportation or removal"],
+    evidence_zh: ['移民法官签署的批准暂缓遣返命令复印件'],
+    biometrics: false,
+    keywords: ['withholding', 'removal', '暂缓遣返']
+  },
+  {
+    code: '(c)(8)',
+    group: 'asylee_refugee',
+    description_en: 'Pending Asylum and Withholding of Removal Applicants (including ABC Settlement Agreement)',
+    description_zh: '庇护及暂缓遣返申请待审者（含 ABC 和解协议）',
+    supplemental_items: ['30.'],
+    evidence_en: [
+      'Evidence the Form I-589 was filed with USCIS or EOIR (receipt, interview notice, or biometrics notice)',
+      'Evidence the 150-day waiting period has passed, or a Recommended Approval notice',
+      'Certified arrest reports and court dispositions for any arrests or convictions'
+    ],
+    evidence_zh: [
+      'I-589 已递交至 USCIS 或移民法庭的证明（收据、面谈通知或生物信息采集通知）',
+      '已满150天等待期的证明，或建议批准通知',
+      '如有逮捕或定罪记录，提供经认证的逮捕报告和法院判决文件'
+    ],
+    biometrics: true,
+    keywords: ['asylum', 'pending', 'I-589', 'ABC', '庇护', '待审']
+  },
+
+  // Nationality Categories
+  {
+    code: '(a)(8)',
+    group: 'nationality',
+    description_en: 'Citizen of Micronesia, the Marshall Islands, or Palau',
+    description_zh: '密克罗尼西亚、马绍尔群岛或帕劳公民',
+    supplemental_items: [],
+    evidence_en: ['Evidence of admission as a citizen of the Federated States of Micronesia, the Marshall Islands, or Palau'],
+    evidence_zh: ['以密克罗尼西亚联邦、马绍尔群岛或帕劳公民身份入境的证明'],
+    biometrics: false,
+    keywords: ['Micronesia', 'Marshall Islands', 'Palau', 'CFA']
+  },
+  {
+    code: '(a)(11)',
+    group: 'nationality',
+    description_en: 'Deferred Enforced Departure (DED)',
+    description_zh: '暂缓强制离境 (DED)',
+    supplemental_items: [],
+    evidence_en: ['Evidence of identity and nationality', 'Statement of the basis for claiming DED coverage'],
+    evidence_zh: ['身份及国籍证明', '说明符合 DED 资格的依据'],
+    biometrics: false,
+    keywords: ['DED', 'deferred enforced departure', '暂缓强制离境']
+  },
+  {
+    code: '(a)(12)',
+    group: 'nationality',
+    description_en: 'Temporary Protected Status (TPS) - Approved',
+    description_zh: '临时保护身份 (TPS) - 已获批',
+    supplemental_items: [],
+    evidence_en: ['Form I-821 or evidence the Form I-821 was accepted or approved', 'Evidence of nationality and identity'],
+    evidence_zh: ['I-821 表格或其已被接受/批准的证明', '国籍及身份证明'],
+    biometrics: true,
+    keywords: ['TPS', 'temporary protected status', 'I-821', '临时保护']
+  },
+  {
+    code: '(c)(19)',
+    group: 'nationality',
+    description_en: 'Temporary Protected Status (TPS) - Pending, Prima Facie Eligible',
+    description_zh: '临时保护身份 (TPS) - 待审且初步符合资格',
+    supplemental_items: [],
+    evidence_en: ['Pending Form I-821 or its Form I-797 receipt', 'Evidence of nationality and identity'],
+    evidence_zh: ['待审 I-821 表格或其 I-797 收据', '国籍及身份证明'],
+    biometrics: true,
+    keywords: ['TPS', 'pending', 'I-821', '临时保护', '待审']
+  },
+  {
+    code: '(c)(10)',
+    group: 'nationality',
+    description_en: 'NACARA Section 203 Applicant or Applicant for Cancellation of Removal',
+    description_zh: 'NACARA 第203条申请人或撤销遣返申请人',
+    supplemental_items: [],
+    evidence_en: ['Form I-881 filed with USCIS, or evidence Form EOIR-42A or EOIR-42B is pending with EOIR'],
+    evidence_zh: ['向 USCIS 递交的 I-881，或 EOIR-42A/EOIR-42B 在移民法庭待审的证明'],
+    biometrics: false,
+    keywords: ['NACARA', 'I-881', 'cancellation of removal', 'EOIR-42', '撤销遣返']
+  },
+  {
+    code: '(c)(2)',
+    group: 'nationality',
+    description_en: 'Dependent of TECRO E-1 Nonimmigrant',
+    description_zh: '台北经济文化代表处 (TECRO) E-1 雇员家属',
+    supplemental_items: [],
+    evidence_en: ['Certification from the American Institute in Taiwan'],
+    evidence_zh: ['美国在台协会出具的证明'],
+    biometrics: false,
+    keywords: ['TECRO', 'Taiwan', 'E-1', '台湾', '台北经济文化代表处']
+  },
+
+  // Foreign Students Categories
+  {
+    code: '(c)(3)(A)',
+    group: 'student',
+    description_en: 'F-1 Pre-Completion Optional Practical Training (OPT)',
+    description_zh: 'F-1 毕业前选择性实习 (OPT)',
+    supplemental_items: [],
+    evidence_en: [
+      'Form I-20 endorsed by the DSO',
+      'Evidence of one full academic year of full-time enrollment',
+      'All previously used SEVIS numbers and any prior CPT or OPT authorizations'
+    ],
+    evidence_zh: [
+      '由 DSO 签署推荐的 I-20',
+      '已全日制就读满一学年的证明',
+      '所有曾使用的 SEVIS 号码及以往 CPT/OPT 批准记录'
+    ],
+    biometrics: false,
+    keywords: ['F-1', 'OPT', 'pre-completion', 'student', '学生', '实习']
+  },
+  {
+    code: '(c)(3)(B)',
+    group: 'student',
+    description_en: 'F-1 Post-Completion Optional Practical Training (OPT)',
+    description_zh: 'F-1 毕业后选择性实习 (OPT)',
+    supplemental_items: [],
+    evidence_en: [
+      'Form I-20 endorsed by the DSO within the last 30 days',
+      'All previously used SEVIS numbers and any prior CPT or OPT authorizations (in Part 6.)'
+    ],
+    evidence_zh: [
+      'DSO 在30天内签署推荐的 I-20',
+      '所有曾使用的 SEVIS 号码及以往 CPT/OPT 批准记录（填写在 Part 6）'
+    ],
+    biometrics: false,
+    keywords: ['F-1', 'OPT', 'post-completion', 'student', '学生', '实习']
+  },
+  {
+    code: '(c)(3)(C)',
+    group: 'student',
+    description_en: 'F-1 24-Month STEM OPT Extension',
+    description_zh: 'F-1 STEM 专业24个月 OPT 延期',
+    supplemental_items: ['28.a.', '28.b.', '28.c.'],
+    evidence_en: [
+      'Form I-20 endorsed by the DSO within the last 60 days',
+      'Evidence the degree is on the STEM Designated Degree Program List',
+      "Employer's name and E-Verify Company Identification Number"
+    ],
+    evidence_zh: [
+      'DSO 在60天内签署推荐的 I-20',
+      '学位属于 STEM 指定学位项目清单的证明',
+      '雇主名称及 E-Verify 公司识别号码'
+    ],
+    biometrics: false,
+    keywords: ['F-1', 'STEM', 'OPT', 'extension', 'E-Verify', '学生', '延期']
+  },
+  {
+    code: '(c)(3)(ii)',
+    group: 'student',
+    description_en: 'F-1 Off-Campus Employment Sponsored by a Qualifying International Organization',
+    description_zh: 'F-1 由合格国际组织资助的校外工作',
+    supplemental_items: [],
+    evidence_en: [
+      "International organization's letter of certification",
+      'Form I-20 with the employment page completed by the DSO'
+    ],
+    evidence_zh: [
+      '国际组织出具的证明信',
+      '由 DSO 填写工作页的 I-20'
+    ],
+    biometrics: false,
+    keywords: ['F-1', 'international organization', 'off-campus', '学生', '国际组织']
+  },
+  {
+    code: '(c)(3)(iii)',
+    group: 'student',
+    description_en: 'F-1 Off-Campus Employment Due to Severe Economic Hardship',
+    description_zh: 'F-1 因严重经济困难申请校外工作',
+    supplemental_items: [],
+    evidence_en: [
+      'Form I-20 with the employment page completed by the DSO',
+      'Evidence of one academic year in F-1 status, good standing and a full course of study',
+      'Evidence of the unforeseen economic hardship and that on-campus work is unavailable or insufficient'
+    ],
+    evidence_zh: [
+      '由 DSO 填写工作页的 I-20',
+      '持 F-1 身份满一学年、学业良好且全日制就读的证明',
+      '发生不可预见经济困难且校内工作不可得或不足的证明'
+    ],
+    biometrics: false,
+    keywords: ['F-1', 'economic hardship', 'off-campus', '学生', '经济困难']
+  },
+  {
+    code: '(c)(5)',
+    group: 'student',
+    description_en: 'J-2 Spouse or Minor Child of an Exchange Visitor',
+    description_zh: 'J-1 交流访问学者的 J-2 配偶或未成年子女',
+    supplemental_items: [],
+    evidence_en: [
+      'Copy of Form DS-2019',
+      'Evidence the J-1 principal is maintaining status',
+      'Evidence the income will not support the J-1 principal',
+      'Evidence of all previous J-2 employment authorizations'
+    ],
+    evidence_zh: [
+      'DS-2019 复印件',
+      'J-1 主申请人维持合法身份的证明',
+      '收入不用于供养 J-1 主申请人的证明',
+      '以往所有 J-2 工作许可记录'
+    ],
+    biometrics: false,
+    keywords: ['J-2', 'J-1', 'exchange visitor', 'DS-2019', '交流访问']
+  },
+  {
+    code: '(c)(6)',
+    group: 'student',
+    description_en: 'M-1 Student Seeking Post-Completion Practical Training',
+    description_zh: 'M-1 学生申请毕业后实习',
+    supplemental_items: [],
+    evidence_en: ['Form I-20 endorsed by the DSO', 'Form I-539, if applicable'],
+    evidence_zh: ['由 DSO 签署推荐的 I-20', '如适用，提交 I-539'],
+    biometrics: false,
+    keywords: ['M-1', 'practical training', 'student', '学生', '实习']
+  },
+
+  // Dependents of Diplomatic Missions, International Organizations, or NATO
+  {
+    code: '(c)(1)',
+    group: 'diplomatic',
+    description_en: 'Dependent of A-1 or A-2 Foreign Government Official',
+    description_zh: 'A-1 或 A-2 外国政府官员家属',
+    supplemental_items: [],
+    evidence_en: ['Form I-566 submitted through the diplomatic mission to the Department of State'],
+    evidence_zh: ['经外交使团向美国国务院递交的 I-566'],
+    biometrics: false,
+    keywords: ['A-1', 'A-2', 'diplomat', 'I-566', '外交']
+  },
+  {
+    code: '(c)(4)',
+    group: 'diplomatic',
+    description_en: 'Dependent of G-1, G-3, or G-4 Nonimmigrant',
+    description_zh: 'G-1、G-3 或 G-4 国际组织雇员家属',
+    supplemental_items: [],
+    evidence_en: ['Form I-566 submitted through the international organization to the Department of State or USUN'],
+    evidence_zh: ['经国际组织向美国国务院或美国常驻联合国代表团递交的 I-566'],
+    biometrics: false,
+    keywords: ['G-4', 'G-1', 'G-3', 'international organization', 'United Nations', 'I-566', '国际组织', '联合国']
+  },
+  {
+    code: '(c)(7)',
+    group: 'diplomatic',
+    description_en: 'Dependent of NATO-1 Through NATO-6',
+    description_zh: 'NATO-1 至 NATO-6 北约人员家属',
+    supplemental_items: [],
+    evidence_en: ['Form I-566 submitted to USLO to NATO/HQ SACT or the Defense Attaché\'s Office'],
+    evidence_zh: ['向北约盟军转型司令部美国联络处或国防武官办公室递交的 I-566'],
+    biometrics: false,
+    keywords: ['NATO', 'I-566', '北约']
+  },
+
+  // Employment-Based Nonimmigrant Categories
+  {
+    code: '(c)(17)(i)',
+    group: 'employment',
+    description_en: 'B-1 Personal or Domestic Servant of a Nonimmigrant Employer',
+    description_zh: '非移民雇主的 B-1 私人或家庭佣工',
+    supplemental_items: [],
+    evidence_en: [
+      'Evidence of lawful B nonimmigrant status',
+      "Evidence of the employer's nonimmigrant status",
+      'Evidence of at least one year of employment or experience as a personal or domestic servant',
+      'Evidence of a residence abroad you do not intend to abandon'
+    ],
+    evidence_zh: [
+      '合法 B 类非移民身份证明',
+      '雇主非移民身份证明',
+      '至少一年受雇或从事私人/家庭佣工经验的证明',
+      '在国外有不打算放弃的住所的证明'
+    ],
+    biometrics: false,
+    keywords: ['B-1', 'domestic servant', '家庭佣工']
+  },
+  {
+    code: '(c)(17)(ii)',
+    group: 'employment',
+    description_en: 'B-1 Domestic Servant of a U.S. Citizen',
+    description_zh: '美国公民的 B-1 家庭佣工',
+    supplemental_items: [],
+    evidence_en: [
+      'Evidence of lawful B nonimmigrant status',
+      'Evidence the employer is a U.S. citizen with a permanent home or assignment abroad',
+      'Evidence of at least six months of employment abroad as a domestic servant'
+    ],
+    evidence_zh: [
+      '合法 B 类非移民身份证明',
+      '雇主为美国公民且在国外有永久住所或驻外任职的证明',
+      '在国外受雇为家庭佣工至少六个月的证明'
+    ],
+    biometrics: false,
+    keywords: ['B-1', 'domestic servant', 'U.S. citizen', '家庭佣工']
+  },
+  {
+    code: '(c)(17)(iii)',
+    group: 'employment',
+    description_en: 'B-1 Nonimmigrant Employed by a Foreign Airline',
+    description_zh: '受雇于外国航空公司的 B-1 非移民',
+    supplemental_items: [],
+    evidence_en: [
+      'Evidence of lawful B nonimmigrant status',
+      'Letter from the airline describing your duties and E-status eligibility'
+    ],
+    evidence_zh: [
+      '合法 B 类非移民身份证明',
+      '航空公司出具的职责说明及 E 类身份资格信函'
+    ],
+    biometrics: false,
+    keywords: ['B-1', 'airline', '航空公司']
+  },
+  {
+    code: '(a)(17)',
+    group: 'employment',
+    description_en: 'Spouse of an E-1 Treaty Trader, E-2 Treaty Investor, or E-3 Specialty Occupation Professional',
+    description_zh: 'E-1 条约贸易者、E-2 条约投资者或 E-3 专业人士的配偶',
+    supplemental_items: [],
+    evidence_en: [
+      'Evidence of your lawful E nonimmigrant status',
+      "Evidence of your spouse's lawful E nonimmigrant status and your marriage certificate"
+    ],
+    evidence_zh: [
+      '本人合法 E 类非移民身份证明',
+      '配偶合法 E 类非移民身份证明及结婚证'
+    ],
+    biometrics: false,
+    keywords: ['E-1', 'E-2', 'E-3', 'spouse', 'treaty investor', '配偶', '投资者']
+  },
+  {
+    code: '(a)(18)',
+    group: 'employment',
+    description_en: 'Spouse of an L-1 Intracompany Transferee',
+    description_zh: 'L-1 跨国公司内部调派人员的配偶',
+    supplemental_items: [],
+    evidence_en: [
+      'Evidence of your lawful L nonimmigrant status',
+      "Evidence of your spouse's lawful L nonimmigrant status and your marriage certificate"
+    ],
+    evidence_zh: [
+      '本人合法 L 类非移民身份证明',
+      '配偶合法 L 类非移民身份证明及结婚证'
+    ],
+    biometrics: false,
+    keywords: ['L-1', 'L-2', 'spouse', 'intracompany', '配偶']
+  },
+  {
+    code: '(c)(12)',
+    group: 'employment',
+    description_en: 'Spouse of an E-2 CNMI Investor',
+    description_zh: 'E-2 北马里亚纳群岛 (CNMI) 投资者的配偶',
+    supplemental_items: [],
+    evidence_en: [
+      'Marriage certificate and evidence prior marriages ended',
+      'Evidence you reside in the CNMI and hold E-2C dependent status',
+      "Spouse's E-2C status and Long-Term Business or Foreign Investment Certificate"
+    ],
+    evidence_zh: [
+      '结婚证及以往婚姻已终止的证明',
+      '居住在 CNMI 并持有 E-2C 家属身份的证明',
+      '配偶的 E-2C 身份及长期商业证书或外国投资证书'
+    ],
+    biometrics: false,
+    keywords: ['E-2', 'CNMI', 'E-2C', 'spouse', '配偶']
+  },
+  {
+    code: '(c)(26)',
+    group: 'employment',
+    description_en: 'H-4 Spouse of an H-1B Nonimmigrant',
+    description_zh: 'H-1B 的 H-4 配偶',
+    supplemental_items: ['29.'],
+    evidence_en: [
+      'Form I-797 for Form I-539 or Form I-94 showing current H-4 status',
+      'Marriage certificate',
+      "Evidence of the H-1B spouse's approved Form I-140 or AC21 106(a)/(b) extension"
+    ],
+    evidence_zh: [
+      '显示当前 H-4 身份的 I-539 批准通知 (I-797) 或 I-94',
+      '结婚证',
+      'H-1B 配偶 I-140 已获批或依据 AC21 106(a)/(b) 延期的证明'
+    ],
+    biometrics: false,
+    keywords: ['H-4', 'H-1B', 'spouse', 'I-140', 'AC21', '配偶']
+  },
+  {
+    code: '(c)(35)',
+    group: 'employment',
+    description_en: 'Principal Beneficiary of an Approved Employment-Based Immigrant Petition Facing Compelling Circumstances',
+    description_zh: '面临紧急情况的职业移民申请 (I-140) 获批主申请人',
+    supplemental_items: ['31.a.', '31.b.'],
+    evidence_en: [
+      'Form I-797 approval notice for Form I-140',
+      'Evidence of valid E-3, H-1B, H-1B1, O-1, or L-1 status',
+      'Evidence of compelling circumstances',
+      'Arrest and disposition documentation for any arrests or convictions'
+    ],
+    evidence_zh: [
+      'I-140 批准通知 (I-797)',
+      '有效 E-3、H-1B、H-1B1、O-1 或 L-1 身份证明',
+      '面临紧急情况的证明',
+      '如有逮捕或定罪记录，提供逮捕及判决文件'
+    ],
+    biometrics: true,
+    keywords: ['compelling circumstances', 'I-140', 'H-1B', '紧急情况']
+  },
+  {
+    code: '(c)(36)',
+    group: 'employment',
+    description_en: 'Spouse or Child of a (c)(35) Principal Beneficiary',
+    description_zh: '(c)(35) 主申请人的配偶或子女',
+    supplemental_items: ['31.a.', '31.b.'],
+    evidence_en: [
+      "Proof of relationship to the (c)(35) principal",
+      "Evidence the principal's (c)(35) application is pending or approved",
+      'Arrest and disposition documentation for any arrests or convictions'
+    ],
+    evidence_zh: [
+      '与 (c)(35) 主申请人关系的证明',
+      '主申请人的 (c)(35) 申请待审或已获批的证明',
+      '如有逮捕或定罪记录，提供逮捕及判决文件'
+    ],
+    biometrics: true,
+    keywords: ['compelling circumstances', 'spouse', 'child', '配偶', '子女', '紧急情况']
+  },
+
+  // Family-Based Nonimmigrant Categories
+  {
+    code: '(a)(6)',
+    group: 'family',
+    description_en: 'K-1 Fiancé(e) of U.S. Citizen or K-2 Dependent',
+    description_zh: '美国公民的 K-1 未婚夫/妻或 K-2 子女',
+    supplemental_items: [],
+    evidence_en: ['Evidence of admission (Form I-94, passport, or travel document) and your K visa'],
+    evidence_zh: ['入境证明（I-94、护照或旅行证件）及 K 签证'],
+    biometrics: false,
+    keywords: ['K-1', 'K-2', 'fiance', '未婚夫', '未婚妻']
+  },
+  {
+    code: '(a)(9)',
+    group: 'family',
+    description_en: 'K-3 Spouse of U.S. Citizen or K-4 Dependent',
+    description_zh: '美国公民的 K-3 配偶或 K-4 子女',
+    supplemental_items: [],
+    evidence_en: ['Evidence of admission (Form I-94, passport, or travel document) and your K visa'],
+    evidence_zh: ['入境证明（I-94、护照或旅行证件）及 K 签证'],
+    biometrics: false,
+    keywords: ['K-3', 'K-4', 'spouse', '配偶']
+  },
+  {
+    code: '(a)(13)',
+    group: 'family',
+    description_en: 'Family Unity Program (replacement card only; initial EAD comes with Form I-817)',
+    description_zh: '家庭团聚计划（仅限补发；首次 EAD 随 I-817 签发）',
+    supplemental_items: [],
+    evidence_en: ['Form I-817 approval notice'],
+    evidence_zh: ['I-817 批准通知'],
+    biometrics: false,
+    keywords: ['family unity', 'I-817', '家庭团聚']
+  },
+  {
+    code: '(a)(14)',
+    group: 'family',
+    description_en: 'LIFE Family Unity (replacement card only; initial EAD comes with Form I-817)',
+    description_zh: 'LIFE 法案家庭团聚（仅限补发；首次 EAD 随 I-817 签发）',
+    supplemental_items: [],
+    evidence_en: ['Form I-817 approval notice'],
+    evidence_zh: ['I-817 批准通知'],
+    biometrics: false,
+    keywords: ['LIFE', 'family unity', 'I-817', '家庭团聚']
+  },
+  {
+    code: '(a)(15)',
+    group: 'family',
+    description_en: 'V-1, V-2, or V-3 Nonimmigrant',
+    description_zh: 'V-1、V-2 或 V-3 非移民',
+    supplemental_items: [],
+    evidence_en: ['Evidence of V status (approval notice, Form I-94, passport, or travel document)'],
+    evidence_zh: ['V 类身份证明（批准通知、I-94、护照或旅行证件）'],
+    biometrics: false,
+    keywords: ['V-1', 'V-2', 'V-3']
+  },
+
+  // Adjustment of Status Categories
+  {
+    code: '(c)(9)',
+    group: 'adjustment',
+    description_en: 'Pending Adjustment of Status Under Section 245 (including T and U adjustment)',
+    description_zh: '第245条调整身份 (I-485) 待审（含 T/U 签证调整身份）',
+    supplemental_items: [],
+    evidence_en: ['Form I-485 filed together, or a copy of the Form I-485 receipt notice'],
+    evidence_zh: ['与 I-485 一并递交，或提供 I-485 收据通知复印件'],
+    biometrics: true,
+    keywords: ['I-485', 'adjustment', 'green card', 'AOS', '调整身份', '绿卡']
+  },
+  {
+    code: '(c)(16)',
+    group: 'adjustment',
+    description_en: 'Registry Applicant Based on Continuous Residence Since January 1, 1972',
+    description_zh: '自1972年1月1日起连续居住的登记申请人',
+    supplemental_items: [],
+    evidence_en: ['Form I-485 filed together, or a copy of the Form I-485 receipt notice'],
+    evidence_zh: ['与 I-485 一并递交，或提供 I-485 收据通知复印件'],
+    biometrics: true,
+    keywords: ['registry', 'I-485', '登记']
+  },
+
+  // Other Categories
+  {
+    code: '(a)(2)',
+    group: 'other',
+    description_en: 'Legalization Temporary Resident Under INA Section 245A or 210',
+    description_zh: '依据 INA 第245A或210条合法化的临时居民',
+    supplemental_items: [],
+    evidence_en: ['Approval notice for Form I-687 or Form I-700'],
+    evidence_zh: ['I-687 或 I-700 批准通知'],
+    biometrics: false,
+    keywords: ['legalization', 'I-687', 'I-700', '合法化']
+  },
+  {
+    code: '(a)(7)',
+    group: 'other',
+    description_en: 'N-8 or N-9 Nonimmigrant',
+    description_zh: 'N-8 或 N-9 非移民',
+    supplemental_items: [],
+    evidence_en: ['Evidence of lawful N nonimmigrant status'],
+    evidence_zh: ['合法 N 类非移民身份证明'],
+    biometrics: false,
+    keywords: ['N-8', 'N-9']
+  },
+  {
+    code: '(c)(20)',
+    group: 'other',
+    description_en: 'Applicant for Legalization Under INA Section 210',
+    description_zh: '依据 INA 第210条申请合法化',
+    supplemental_items: [],
+    evidence_en: ['Receipt notice for Form I-700'],
+    evidence_zh: ['I-700 收据通知'],
+    biometrics: false,
+    keywords: ['legalization', 'I-700', 'SAW', '合法化']
+  },
+  {
+    code: '(c)(22)',
+    group: 'other',
+    description_en: 'Applicant for Legalization Under INA Section 245A',
+    description_zh: '依据 INA 第245A条申请合法化',
+    supplemental_items: [],
+    evidence_en: ['Receipt notice for Form I-687 or Form I-698'],
+    evidence_zh: ['I-687 或 I-698 收据通知'],
+    biometrics: false,
+    keywords: ['legalization', 'I-687', 'I-698', '合法化']
+  },
+  {
+    code: '(c)(11)',
+    group: 'other',
+    description_en: 'Parolee (Urgent Humanitarian Reasons or Significant Public Benefit)',
+    description_zh: '人道主义或重大公共利益假释入境者',
+    supplemental_items: [],
+    evidence_en: ['Valid, unexpired Form I-94, passport, or travel document showing parole'],
+    evidence_zh: ['显示假释身份的有效 I-94、护照或旅行证件'],
+    biometrics: false,
+    keywords: ['parole', 'humanitarian', '假释', '人道']
+  },
+  {
+    code: '(c)(14)',
+    group: 'other',
+    description_en: 'Deferred Action (including A-3/G-5 with a pending civil action)',
+    description_zh: '暂缓遣返 Deferred Action（含提起民事诉讼的 A-3/G-5）',
+    supplemental_items: [],
+    evidence_en: [
+      'Order, notice, or document reflecting the grant of deferred action',
+      'Form I-765WS showing economic necessity'
+    ],
+    evidence_zh: [
+      '批准暂缓遣返的命令、通知或文件',
+      '证明经济需要的 I-765WS 工作表'
+    ],
+    biometrics: false,
+    keywords: ['deferred action', 'I-765WS', 'A-3', 'G-5', '暂缓']
+  },
+  {
+    code: '(c)(33)',
+    group: 'other',
+    description_en: 'Deferred Action for Childhood Arrivals (DACA)',
+    description_zh: '童年入境者暂缓遣返 (DACA)',
+    supplemental_items: [],
+    evidence_en: ['Form I-821D filed together', 'Form I-765WS showing economic necessity'],
+    evidence_zh: ['与 I-821D 一并递交', '证明经济需要的 I-765WS 工作表'],
+    biometrics: true,
+    keywords: ['DACA', 'I-821D', 'dreamer', '童年入境']
+  },
+  {
+    code: '(c)(18)',
+    group: 'other',
+    description_en: 'Final Order of Deportation or Removal, including Deferral of Removal under the Convention Against Torture',
+    description_zh: '最终遣返令（含依据《禁止酷刑公约》暂缓遣返）',
+    supplemental_items: [],
+    evidence_en: ["EOIR immigration judge's Order of Removal", 'Form I-220B, Order of Supervision (if any)'],
+    evidence_zh: ['移民法官的遣返令', 'I-220B 监管令（如有）'],
+    biometrics: false,
+    keywords: ['order of supervision', 'I-220B', 'CAT', 'removal', '遣返令']
+  },
+  {
+    code: '(c)(24)',
+    group: 'other',
+    description_en: 'LIFE Legalization Applicant',
+    description_zh: 'LIFE 法案合法化申请人',
+    supplemental_items: [],
+    evidence_en: ['Evidence of CSS, LULAC, or Zambrano class membership', 'Evidence the Form I-485 is pending'],
+    evidence_zh: ['CSS、LULAC 或 Zambrano 集体诉讼成员证明', 'I-485 待审证明'],
+    biometrics: false,
+    keywords: ['LIFE', 'legalization', 'CSS', 'LULAC', '合法化']
+  },
+  {
+    code: '(c)(40)',
+    group: 'other',
+    description_en: 'T Nonimmigrant Bona Fide Determination (Principal and Eligible Family Members)',
+    description_zh: 'T 签证真实性认定（主申请人及符合条件的家属）',
+    supplemental_items: [],
+    evidence_en: ['USCIS notice to apply for an EAD (if received)'],
+    evidence_zh: ['USCIS 要求申请 EAD 的通知（如收到）'],
+    biometrics: false,
+    keywords: ['T visa', 'bona fide', 'I-914', '人口贩运']
+  },
+  {
+    code: '(a)(16)',
+    group: 'other',
+    description_en: 'T-1 Nonimmigrant',
+    description_zh: 'T-1 非移民（人口贩运受害者）',
+    supplemental_items: [],
+    evidence_en: ['Evidence of T-1 nonimmigrant status (approval notice)'],
+    evidence_zh: ['T-1 非移民身份证明（批准通知）'],
+    biometrics: false,
+    keywords: ['T-1', 'T visa', 'trafficking', 'I-914', '人口贩运']
+  },
+  {
+    code: '(c)(25)',
+    group: 'other',
+    description_en: 'T-2, T-3, T-4, T-5, or T-6 Nonimmigrant',
+    description_zh: 'T-2 至 T-6 衍生非移民',
+    supplemental_items: [],
+    evidence_en: ['Approval notice for derivative T status, or passport with T nonimmigrant visa'],
+    evidence_zh: ['衍生 T 身份批准通知，或带 T 签证的护照'],
+    biometrics: false,
+    keywords: ['T-2', 'T-3', 'T visa', 'derivative', '衍生']
+  },
+  {
+    code: '(a)(19)',
+    group: 'other',
+    description_en: 'U-1 Nonimmigrant',
+    description_zh: 'U-1 非移民（犯罪受害者）',
+    supplemental_items: [],
+    evidence_en: ['Passport with U nonimmigrant visa, or approval notice'],
+    evidence_zh: ['带 U 签证的护照或批准通知'],
+    biometrics: false,
+    keywords: ['U-1', 'U visa', 'I-918', '犯罪受害者']
+  },
+  {
+    code: '(a)(20)',
+    group: 'other',
+    description_en: 'U-2, U-3, U-4, or U-5 Nonimmigrant',
+    description_zh: 'U-2 至 U-5 衍生非移民',
+    supplemental_items: [],
+    evidence_en: ['Approval notice for derivative U status, or passport with U nonimmigrant visa'],
+    evidence_zh: ['衍生 U 身份批准通知，或带 U 签证的护照'],
+    biometrics: false,
+    keywords: ['U-2', 'U-3', 'U visa', 'I-918A', 'derivative', '衍生']
+  },
+  {
+    code: '(c)(31)',
+    group: 'other',
+    description_en: 'VAWA Self-Petitioner (Principal or Derivative Child)',
+    description_zh: 'VAWA 自我申请人（主申请人或衍生子女）',
+    supplemental_items: [],
+    evidence_en: ['Approval notice for the Form I-360 VAWA self-petition'],
+    evidence_zh: ['I-360 VAWA 自我申请批准通知'],
+    biometrics: false,
+    keywords: ['VAWA', 'I-360', '家暴']
+  },
+  {
+    code: '(c)(37)',
+    group: 'other',
+    description_en: 'Applicant for CNMI Long-Term Resident Status',
+    description_zh: 'CNMI 长期居民身份申请人',
+    supplemental_items: [],
+    evidence_en: ['Form I-955 filed together'],
+    evidence_zh: ['与 I-955 一并递交'],
+    biometrics: false,
+    keywords: ['CNMI', 'I-955', 'long-term resident']
+  }
+];
+
+/**
+ * Eligibility Catalog Class
+ * Lookup, normalization and search over the eligibility categories
+ */
+class EligibilityCatalog {
+  constructor(categories = ELIGIBILITY_CATEGORIES) {
+    this.categories = categories;
+    this.byCode = new Map(categories.map(category => [this.normalizeKey(category.code), category]));
+  }
+
+  /**
+   * Normalize user input to a catalog code
+   * Accepts variants such as "c8", "(C)(8)", "c)(8)" or "(c) (3) (c)"
+   * @param {string} input - Category as typed
+   * @returns {string|null} Catalog code (e.g. "(c)(3)(C)") or null if unknown
+   */
+  normalizeCode(input) {
+    if (!input || typeof input !== 'string') return null;
+    const category = this.byCode.get(this.normalizeKey(input));
+    return category ? category.code : null;
+  }
+
+  /**
+   * Build a case-insensitive lookup key from a category string
+   * @private
+   * @param {string} code - Category code
+   * @returns {string} Lookup key (e.g. "c|3|c")
+   */
+  normalizeKey(code) {
+    const tokens = String(code).toLowerCase().match(/[a-z]+|\d+/g);
+    return tokens ? tokens.join('|') : '';
+  }
+
+  /**
+   * Get a category entry
+   * @param {string} code - Category code (any accepted spelling)
+   * @returns {object|null} Category entry or null
+   */
+  getCategory(code) {
+    if (!code) return null;
+    return this.byCode.get(this.normalizeKey(code)) || null;
+  }
+
+  /**
+   * Check whether a category exists in the catalog
+   * @param {string} code - Category code
+   * @returns {boolean} True if known
+   */
+  isValidCategory(code) {
+    return this.getCategory(code) !== null;
+  }
+
+  /**
+   * Get the localized description of a category
+   * @param {string} code - Category code
+   * @param {string} language - Language code (en or zh)
+   * @returns {string} Description or empty string
+   */
+  getDescription(code, language = 'en') {
+    const category = this.getCategory(code);
+    if (!category) return '';
+    return language === 'zh' ? category.description_zh : category.description_en;
+  }
+
+  /**
+   * Get the supplemental Part 2 items required for a category
+   * @param {string} code - Category code
+   * @returns {string[]} Item numbers (e.g. ["28.a.", "28.b.", "28.c."])
+   */
+  getRequiredItems(code) {
+    const category = this.getCategory(code);
+    return category ? category.supplemental_items : [];
+  }
+
+  /**
+   * Get the required evidence list for a category
+   * @param {string} code - Category code
+   * @param {string} language - Language code (en or zh)
+   * @returns {string[]} Evidence descriptions
+   */
+  getRequiredEvidence(code, language = 'en') {
+    const category = this.getCategory(code);
+    if (!category) return [];
+    return language === 'zh' ? category.evidence_zh : category.evidence_en;
+  }
+
+  /**
+   * Check whether a biometric services appointment is expected
+   * @param {string} code - Category code
+   * @returns {boolean} True if biometrics apply
+   */
+  requiresBiometrics(code) {
+    const category = this.getCategory(code);
+    return category ? category.biometrics : false;
+  }
+
+  /**
+   * Search categories for a picker
+   * Matches the code (any spelling), both descriptions and keywords
+   * @param {string} query - Search text
+   * @param {string} language - Language used for the result labels
+   * @returns {object[]} Matches { code, label, group, groupLabel }
+   */
+  search(query, language = 'en') {
+    const text = String(query || '').trim().toLowerCase();
+    const key = this.normalizeKey(text);
+
+    return this.categories
+      .filter(category => {
+        if (!text) return true;
+        const codeKey = this.normalizeKey(category.code);
+        if (key && (codeKey === key || codeKey.startsWith(`${key}|`))) return true;
+        return [category.description_en, category.description_zh, ...category.keywords]
+          .some(value => value.toLowerCase().includes(text));
+      })
+      .map(category => ({
+        code: category.code,
+        label: `${category.code} ${language === 'zh' ? category.description_zh : category.description_en}`,
+        group: category.group,
+        groupLabel: CATEGORY_GROUPS[category.group][language === 'zh' ? 'zh' : 'en']
+      }));
+  }
+
+  /**
+   * Get categories grouped as in the Instructions
+   * @param {string} language - Language code (en or zh)
+   * @returns {object[]} Groups { group, label, categories }
+   */
+  getGroups(language = 'en') {
+    return Object.entries(CATEGORY_GROUPS).map(([group, labels]) => ({
+      group,
+      label: labels[language === 'zh' ? 'zh' : 'en'],
+      categories: this.categories.filter(category => category.group === group)
+    }));
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const eligibilityCatalog = new EligibilityCatalog();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EligibilityCatalog,
+    eligibilityCatalog,
+    ELIGIBILITY_CATEGORIES,
+    CATEGORY_GROUPS
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.EligibilityCatalog = EligibilityCatalog;
+  window.eligibilityCatalog = eligibilityCatalog;
+  window.ELIGIBILITY_CATEGORIES = ELIGIBILITY_CATEGORIES;
+}
@@ -0,0 +1,274 @@
+/**
+ * Filing Fee Calculator for I-765 Form Application
+ * Computes the I-765 fee from eligibility category, filing type and filing method
+ * using a versioned fee schedule, and explains the result in English and Chinese
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Fee schedules, oldest first
+ * To apply a USCIS fee change, append a new schedule with its effective_date;
+ * older schedules stay so that past cases can be recalculated as filed.
+ * Amounts are in whole US dollars. Verify against the current Form G-1055.
+ */
+const FEE_SCHEDULES = [
+  {
+    version: '2024-04-01',
+    effective_date: '2024-04-01',
+    source: 'USCIS Form G-1055, Fee Schedule (edition 04/01/24)',
+    currency: 'USD',
+    base_fee: { paper: 520, online: 470 },
+    biometric_fee: 0, // Included in the filing fee since 04/01/2024
+    // Evaluated in order; the first matching rule sets the fee
+    rules: [
+      {
+        rule_id: 'initial_humanitarian_exempt',
+        categories: ['(a)(3)', '(a)(4)', '(a)(5)', '(a)(7)', '(a)(8)', '(a)(10)', '(c)(8)'],
+        filing_types: ['initial'],
+        fee: { paper: 0, online: 0 },
+        reason_en: 'No fee for an initial EAD in this category',
+        reason_zh: '此类别首次申请EAD免收申请费'
+      },
+      {
+        rule_id: 'diplomatic_dependent_exempt',
+        categories: ['(c)(1)', '(c)(4)', '(c)(7)'],
+        filing_types: ['initial', 'renewal', 'replacement'],
+        fee: { paper: 0, online: 0 },
+        reason_en: 'No fee for dependents of diplomatic missions, international organizations or NATO',
+        reason_zh: '外交使团、国际组织或北约人员家属免收申请费'
+      },
+      {
+        rule_id: 'victim_based_exempt',
+        categories: ['(a)(16)', '(a)(19)', '(a)(20)', '(c)(25)', '(c)(31)', '(c)(40)'],
+        filing_types: ['initial', 'renewal', 'replacement'],
+        fee: { paper: 0, online: 0 },
+        reason_en: 'No fee for T, U and VAWA-based requests',
+        reason_zh: 'T签证、U签证及VAWA类申请免收申请费'
+      },
+      {
+        rule_id: 'concurrent_adjustment',
+        categories: ['(c)(9)', '(c)(16)'],
+        filing_types: ['initial'],
+        requires: 'filedWithI485',
+        fee: { paper: 260, online: 260 },
+        reason_en: 'Reduced fee when filed together with a fee-paid Form I-485',
+        reason_zh: '与已缴费的I-485一并递交时适用减免后的申请费'
+      }
+    ],
+    // Categories USCIS accepts online; other categories must be filed on paper
+    online_categories: [
+      '(a)(3)', '(a)(5)', '(a)(7)', '(a)(8)', '(a)(10)', '(a)(12)', '(a)(17)', '(a)(18)',
+      '(c)(3)(A)', '(c)(3)(B)', '(c)(3)(C)', '(c)(3)(iii)', '(c)(8)', '(c)(9)', '(c)(11)',
+      '(c)(19)', '(c)(26)'
+    ],
+    // Categories for which Form I-912, Request for Fee Waiver, may be filed
+    fee_waiver_categories: [
+      '(a)(12)', '(c)(8)', '(c)(9)', '(c)(10)', '(c)(11)', '(c)(14)', '(c)(18)', '(c)(19)',
+      '(c)(24)'
+    ]
+  }
+];
+
+/**
+ * Fee Calculator Class
+ */
+class FeeCalculator {
+  constructor(schedules = FEE_SCHEDULES) {
+    this.schedules = schedules;
+  }
+
+  /**
+   * Get the fee schedule in effect on a date, or a specific version
+   * @param {string|Date} [dateOrVersion] - YYYY-MM-DD date, Date, or schedule version (default: today)
+   * @returns {object} Fee schedule
+   */
+  getSchedule(dateOrVersion) {
+    const byVersion = this.schedules.find(schedule => schedule.version === dateOrVersion);
+    if (byVersion) return byVersion;
+
+    const date = dateOrVersion instanceof Date
+      ? dateOrVersion.toISOString().slice(0, 10)
+      : (dateOrVersion || new Date().toISOString().slice(0, 10));
+
+    const inEffect = this.schedules.filter(schedule => schedule.effective_date <= date);
+    return inEffect.length > 0 ? inEffect[inEffect.length - 1] : this.schedules[0];
+  }
+
+  /**
+   * Calculate the filing fee
+   * @param {object} options - Fee inputs
+   * @param {string} options.category - Eligibility category (e.g. "(c)(8)")
+   * @param {string} options.filingType - initial, renewal or replacement
+   * @param {string} [options.filingMethod] - PAPER or ONLINE (default: PAPER)
+   * @param {boolean} [options.feeWaiverRequested] - Form I-912 filed with the application
+   * @param {boolean} [options.filedWithI485] - Filed together with a fee-paid Form I-485
+   * @param {string|Date} [options.date] - Filing date or schedule version (default: today)
+   * @returns {object} Fee result
+   */
+  calculate(options) {
+    const schedule = this.getSchedule(options.date);
+    const category = this.normalizeCategory(options.category);
+    const filingType = options.filingType || 'initial';
+    const warnings = [];
+
+    const onlineAvailable = schedule.online_categories.includes(category);
+    let method = options.filingMethod === 'ONLINE' ? 'online' : 'paper';
+    if (method === 'online' && !onlineAvailable) {
+      method = 'paper';
+      warnings.push({
+        en: `Category ${category || '(none)'} cannot be filed online; the paper filing fee applies`,
+        zh: `类别 ${category || '（未选择）'} 不能在线递交，按纸质递交收费`
+      });
+    }
+
+    const rule = schedule.rules.find(candidate =>
+      candidate.categories.includes(category) &&
+      candidate.filing_types.includes(filingType) &&
+      (!candidate.requires || options[candidate.requires])
+    );
+
+    let filingFee = rule ? rule.fee[method] : schedule.base_fee[method];
+    const feeWaiverEligible = schedule.fee_waiver_categories.includes(category);
+    let feeWaived = false;
+
+    if (options.feeWaiverRequested && filingFee > 0) {
+      if (feeWaiverEligible) {
+        feeWaived = true;
+        filingFee = 0;
+      } else {
+        warnings.push({
+          en: `A fee waiver (Form I-912) is not available for category ${category || '(none)'}`,
+          zh: `类别 ${category || '（未选择）'} 不能申请费用减免 (I-912)`
+        });
+      }
+    }
+
+    const biometricFee = schedule.biometric_fee;
+
+    return {
+      scheduleVersion: schedule.version,
+      currency: schedule.currency,
+      category,
+      filingType,
+      filingMethod: method === 'online' ? 'ONLINE' : 'PAPER',
+      filingFee,
+      biometricFee,
+      totalFee: filingFee + biometricFee,
+      exempt: Boolean(rule) && rule.fee[method] === 0,
+      rule: rule ? rule.rule_id : null,
+      reason: rule ? { en: rule.reason_en, zh: rule.reason_zh } : null,
+      onlineAvailable,
+      feeWaiverEligible,
+      feeWaived,
+      warnings
+    };
+  }
+
+  /**
+   * Calculate the fee for a profile and write it into profile.paymentInfo
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @param {string|Date} [date] - Filing date or schedule version (default: today)
+   * @returns {object} Fee result
+   */
+  applyToProfile(profile, date) {
+    const payment = profile.paymentInfo;
+    const result = this.calculate({
+      category: profile.eligibilityInfo.category,
+      filingType: profile.eligibilityInfo.applicationPurpose,
+      filingMethod: payment.filingMethod,
+      feeWaiverRequested: payment.feeWaiverRequested,
+      filedWithI485: payment.filedWithI485,
+      date
+    });
+
+    payment.filingFee = result.filingFee;
+    payment.biometricFee = result.biometricFee;
+    payment.totalFee = result.totalFee;
+    payment.filingMethod = result.filingMethod;
+    payment.feeScheduleVersion = result.scheduleVersion;
+
+    console.log(`[FeeCalculator] ${result.category} ${result.filingType}: $${result.totalFee} (schedule ${result.scheduleVersion})`);
+    return result;
+  }
+
+  /**
+   * Explain a fee result for the client summary
+   * @param {object} result - Result from calculate()
+   * @param {string} language - Language code (en or zh)
+   * @returns {string[]} Explanation lines
+   */
+  explain(result, language = 'en') {
+    const isZh = language === 'zh';
+    const types = {
+      initial: { en: 'initial', zh: '首次申请' },
+      renewal: { en: 'renewal', zh: '续期' },
+      replacement: { en: 'replacement', zh: '补发' }
+    };
+    const type = types[result.filingType] || { en: result.filingType, zh: result.filingType };
+    const lines = [];
+
+    if (isZh) {
+      lines.push(`资格类别 ${result.category || '（未选择）'}，${type.zh}，${result.filingMethod === 'ONLINE' ? '在线' : '纸质'}递交。`);
+    } else {
+      lines.push(`Category ${result.category || '(none)'}, ${type.en} request, filed ${result.filingMethod === 'ONLINE' ? 'online' : 'on paper'}.`);
+    }
+
+    if (result.reason) {
+      lines.push(isZh ? `${result.reason.zh}。` : `${result.reason.en}.`);
+    }
+
+    if (result.feeWaived) {
+      lines.push(isZh
+        ? '已申请费用减免 (I-912)；如减免未获批准，申请将被拒收。'
+        : 'A fee waiver (Form I-912) is requested; the application will be rejected if the waiver is not approved.');
+    }
+
+    for (const warning of result.warnings) {
+      lines.push(isZh ? `注意：${warning.zh}。` : `Note: ${warning.en}.`);
+    }
+
+    if (isZh) {
+      lines.push(`申请费 $${result.filingFee}，生物信息采集费 $${result.biometricFee}，合计 $${result.totalFee}。`);
+      lines.push(`依据收费表版本 ${result.scheduleVersion}。`);
+    } else {
+      lines.push(`Filing fee $${result.filingFee}, biometric services fee $${result.biometricFee}, total $${result.totalFee}.`);
+      lines.push(`Based on fee schedule ${result.scheduleVersion}.`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Normalize a category through the eligibility catalog when available
+   * @private
+   * @param {string} category - Category as entered
+   * @returns {string} Catalog code, or the input when unknown
+   */
+  normalizeCategory(category) {
+    const catalog = typeof eligibilityCatalog !== 'undefined'
+      ? eligibilityCatalog
+      : require('./eligibility-categories').eligibilityCatalog;
+    return catalog.normalizeCode(category) || category || '';
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const feeCalculator = new FeeCalculator();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FeeCalculator,
+    feeCalculator,
+    FEE_SCHEDULES
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FeeCalculator = FeeCalculator;
+  window.feeCalculator = feeCalculator;
+  window.FEE_SCHEDULES = FEE_SCHEDULES;
+}
@@ -5,9 +5,15 @@
  */
 
 class FieldMapper {
-  constructor(config) {
+  /**
+   * @param {object} [config] - Field configuration; loaded from the form registry when omitted
+   * @param {string} [formId] - Registered form id (e.g. "i-765", "g-28")
+   */
+  constructor(config, formId = 'i-765') {
     this.config = config || null;
+    this.formId = formId;
     this.fieldMapping = new Map();
+    this.conditions = null;
     this.loadConfig();
   }
 
@@ -23,11 +29,10 @@ class FieldMapper {
     try {
       // Try different paths
       let response;
-      const paths = [
-        './core/i765-config.json',
-        '../core/i765-config.json',
-        'core/i765-config.json'
-      ];
+      const registry = typeof formRegistry !== 'undefined'
+        ? formRegistry
+        : require('./form-registry').formRegistry;
+      const paths = registry.getConfigPaths(this.formId);
       
       let loaded = false;
       for (const path of paths) {
@@ -61,6 +66,11 @@ class FieldMapper {
   buildMapping() {
     if (!this.config || !this.config.parts) return;
 
+    const Evaluator = typeof ConditionEvaluator !== 'undefined'
+      ? ConditionEvaluator
+      : require('./condition-evaluator');
+    this.conditions = new Evaluator(this.config);
+
     for (const part of this.config.parts) {
       if (!part.fields) continue;
 
@@ -79,9 +89,12 @@ class FieldMapper {
   /**
    * Map applicant profile to form data structure
    * @param {ApplicantProfile} profile - Applicant profile instance
+   * @param {object} [options] - Mapping options
+   * @param {object} [options.fitLimits] - Field id -> characters that fit in the PDF box
+   *   (from FillReport.getFitLimits); longer values continue in Part 6
    * @returns {object} Mapped form data
    */
-  mapProfileToForm(profile) {
+  mapProfileToForm(profile, options = {}) {
     const formData = {};
 
     if (!this.config || !this.config.parts) {
@@ -92,6 +105,7 @@ class FieldMapper {
     console.log('[FieldMapper] Starting to map profile to form data...');
     let mappedCount = 0;
     let skippedCount = 0;
+    const overflowEntries = [];
 
     for (const part of this.config.parts) {
       if (!part.fields) continue;
@@ -102,6 +116,22 @@ class FieldMapper {
           continue;
         }
 
+        // Hidden fields are cleared so stale answers (e.g. a STEM OPT degree
+        // left over from an old draft) never print on the form
+        if (!this.conditions.isFieldVisible(field, profile)) {
+          formData[field.field_id] = {
+            value: '',
+            pdfFieldName: field.pdf_field_name || field.item_number || field.field_id,
+            widgets: this.getWidgets(field, ''),
+            field: field,
+            part: part.part,
+            originalValue: this.getNestedValue(profile, field.data_path),
+            hidden: true
+          };
+          skippedCount++;
+          continue;
+        }
+
         const value = this.getNestedValue(profile, field.data_path);
         
         // Include field even if empty for required fields or checkboxes
@@ -117,6 +147,36 @@ class FieldMapper {
 
           // Format value based on field type
           mappedValue = this.formatValue(mappedValue, field.type);
+          if (field.identifier) {
+            mappedValue = this.formatIdentifier(mappedValue, field);
+          }
+
+          // Radio values must be one of the field's options
+          let optionMismatch = null;
+          if (field.options && mappedValue !== '') {
+            const option = this.findOption(field, mappedValue);
+            if (option) {
+              mappedValue = String(option.value);
+            } else {
+              optionMismatch = { value: mappedValue, allowed: field.options.map(opt => String(opt.value)) };
+              console.warn(`[FieldMapper] ${field.field_id}: "${mappedValue}" matches no option (${optionMismatch.allowed.join(', ')})`);
+            }
+          }
+
+          // Values longer than the field's capacity continue in Part 6;
+          // identifiers are never split (PDFProcessor rejects one too long for its boxes)
+          let overflow = false;
+          const capacity = this.getCapacity(field, options.fitLimits);
+          if (capacity !== null && field.type === 'Text Input' && !field.identifier && mappedValue.length > capacity) {
+            overflowEntries.push({
+              page: part.page,
+              part: this.getPartNumber(part),
+              item: field.item_number,
+              text: mappedValue
+            });
+            mappedValue = mappedValue.substring(0, capacity);
+            overflow = true;
+          }
 
           // Use pdf_field_name or item_number as fallback
           const pdfFieldName = field.pdf_field_name || field.item_number || field.field_id;
@@ -124,8 +184,13 @@ class FieldMapper {
           formData[field.field_id] = {
             value: mappedValue,
             pdfFieldName: pdfFieldName,
+            widgets: this.getWidgets(field, mappedValue),
             field: field,
-            originalValue: value
+            part: part.part,
+            originalValue: value,
+            overflow: overflow,
+            optionMismatch: optionMismatch,
+            image: this.getSignatureImage(field, value)
           };
           
           mappedCount++;
@@ -136,12 +201,235 @@ class FieldMapper {
       }
     }
 
+    overflowEntries.unshift(...this.collectListOverflow(profile));
+    this.mapAdditionalInformation(profile, overflowEntries, formData, options.fitLimits);
+
     console.log(`[FieldMapper] Mapping complete: ${mappedCount} fields mapped, ${skippedCount} fields skipped`);
     console.log('[FieldMapper] Form data keys:', Object.keys(formData));
     
     return formData;
   }
 
+  /**
+   * Get how many characters a field can hold: its max_length, or fewer when
+   * the PDF box was measured too narrow for the value (only forms with a
+   * Part 6 section can take the rest)
+   * @private
+   * @param {object} field - Field configuration
+   * @param {object} [fitLimits] - Field id -> characters that fit
+   * @returns {number|null} Capacity, or null if unlimited
+   */
+  getCapacity(field, fitLimits) {
+    const limits = [field.max_length];
+    if (fitLimits && this.config.additional_information && fitLimits[field.field_id] !== undefined) {
+      limits.push(fitLimits[field.field_id]);
+    }
+    const capacity = Math.min(...limits.filter(limit => typeof limit === 'number'));
+    return Number.isFinite(capacity) ? capacity : null;
+  }
+
+  /**
+   * Get the PDF fields of an item that spans several AcroForm fields
+   * Radio items whose options carry their own pdf_field_name are separate
+   * checkboxes on the PDF (only the selected one is checked); `segments`
+   * splits a value across boxes, e.g. item 27 "(c)(17)(iii)" -> "c", "17", "iii".
+   * @private
+   * @param {object} field - Field configuration
+   * @param {string} value - Formatted value
+   * @returns {object[]|null} Widgets { pdfFieldName, value }, or null for single-field items
+   */
+  getWidgets(field, value) {
+    if (field.segments) {
+      const pattern = new RegExp(field.segments.pattern, 'g');
+      const pieces = Array.from(String(value).matchAll(pattern), match => match[1]);
+      if (pieces.length === 0 && value) pieces.push(String(value));
+
+      return field.segments.pdf_field_names.map((pdfFieldName, index) => ({
+        pdfFieldName: pdfFieldName,
+        value: pieces[index] || ''
+      }));
+    }
+
+    if (field.options && field.options.some(option => option.pdf_field_name)) {
+      return field.options
+        .filter(option => option.pdf_field_name)
+        .map(option => ({
+          pdfFieldName: option.pdf_field_name,
+          value: String(option.value) === String(value) ? 'X' : ''
+        }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the option a value selects
+   * Matches the option value exactly, then ignoring case and surrounding
+   * spaces, then the English label (e.g. "female" or "Female" -> option "F").
+   * @private
+   * @param {object} field - Field configuration with options
+   * @param {string} value - Formatted value
+   * @returns {object|null} Option or null
+   */
+  findOption(field, value) {
+    const text = String(value).trim().toLowerCase();
+    return field.options.find(option => String(option.value) === String(value)) ||
+      field.options.find(option => String(option.value).trim().toLowerCase() === text) ||
+      field.options.find(option => String(option.label_en || '').trim().toLowerCase() === text) ||
+      null;
+  }
+
+  /**
+   * Collect list items that do not fit in the form's fixed slots
+   * (e.g. a fourth other name, a third citizenship)
+   * @private
+   * @param {ApplicantProfile} profile - Applicant profile instance
+   * @returns {object[]} Overflow entries { page, part, item, text }
+   */
+  collectListOverflow(profile) {
+    const entries = [];
+    const section = this.config.additional_information;
+    if (!section || !section.list_overflow) return entries;
+
+    for (const rule of section.list_overflow) {
+      const list = this.getNestedValue(profile, rule.data_path);
+      if (!Array.isArray(list) || list.length <= rule.slots) continue;
+
+      const lines = list.slice(rule.slots)
+        .map(item => {
+          if (item && typeof item === 'object') {
+            const keys = rule.item_format || Object.keys(item);
+            return keys.map(key => item[key]).filter(Boolean).join(', ');
+          }
+          return item ? String(item) : '';
+        })
+        .filter(Boolean);
+
+      if (lines.length > 0) {
+        entries.push({
+          page: rule.page,
+          part: rule.part,
+          item: rule.item,
+          text: `${rule.label_en}: ${lines.join('; ')}`
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Place overflow entries into Part 6. Additional Information
+   * Entries are split to fit each slot; whatever does not fit in the
+   * slots on page 7 is returned as a continuation entry for extra pages
+   * @private
+   * @param {ApplicantProfile} profile - Applicant profile instance
+   * @param {object[]} entries - Overflow entries { page, part, item, text }
+   * @param {object} formData - Form data to add Part 6 fields to
+   * @param {object} [fitLimits] - Field id -> characters that fit in the PDF box
+   * @throws {Error} If a page, part or item reference is longer than its box
+   *   (reference_lengths in the config)
+   */
+  mapAdditionalInformation(profile, entries, formData, fitLimits) {
+    const section = this.config.additional_information;
+    if (!section || entries.length === 0) return;
+
+    const slotCapacity = Math.min(...section.slots.map(slot => slot.capacity));
+    const chunks = [];
+    for (const entry of entries) {
+      const text = String(entry.text);
+      for (let start = 0; start < text.length; start += slotCapacity) {
+        chunks.push({ ...entry, text: text.substring(start, start + slotCapacity) });
+      }
+    }
+
+    // Header identifies the applicant on every Part 6 page; the full name is
+    // already in Part 1, so it is cut to the box like the Part 1 fields.
+    // The A-Number is formatted for its boxes as on page 2, never cut.
+    const header = {};
+    for (const field of section.header) {
+      let originalValue = this.formatValue(this.getNestedValue(profile, field.data_path), field.type);
+      if (field.identifier) {
+        originalValue = this.formatIdentifier(originalValue, field);
+      }
+      const capacity = field.identifier ? null : this.getCapacity(field, fitLimits);
+      const value = capacity !== null ? originalValue.substring(0, capacity) : originalValue;
+      header[field.field_id] = value;
+      formData[field.field_id] = {
+        value: value,
+        pdfFieldName: field.pdf_field_name,
+        field: field,
+        originalValue: originalValue
+      };
+    }
+
+    // Page, part and item must each fit their box, or the reference USCIS
+    // needs to match the answer to its question is lost
+    const referenceLengths = section.reference_lengths || {};
+    for (const chunk of chunks) {
+      for (const key of ['page', 'part', 'item']) {
+        const reference = String(chunk[key]);
+        if (referenceLengths[key] && reference.length > referenceLengths[key]) {
+          throw new Error(`Part 6 ${key} reference "${reference}" is longer than its ${referenceLengths[key]}-character box`);
+        }
+      }
+    }
+
+    section.slots.forEach((slot, index) => {
+      const chunk = chunks[index];
+      if (!chunk) return;
+
+      const slotFields = {
+        page: [slot.page_number_field, String(chunk.page)],
+        part: [slot.part_number_field, String(chunk.part)],
+        item: [slot.item_number_field, String(chunk.item)],
+        text: [slot.text_field, chunk.text]
+      };
+      for (const [key, [pdfFieldName, value]] of Object.entries(slotFields)) {
+        const fieldId = `additional_info_${slot.item_number.replace(/\W/g, '')}_${key}`;
+        formData[fieldId] = {
+          value: value,
+          pdfFieldName: pdfFieldName,
+          field: { field_id: fieldId, item_number: slot.item_number, type: 'Text Input' },
+          originalValue: value
+        };
+      }
+    });
+
+    const remaining = chunks.slice(section.slots.length);
+    if (remaining.length > 0) {
+      formData.additional_info_continuation = {
+        value: { header: header, entries: remaining },
+        pdfFieldName: null,
+        field: { field_id: 'additional_info_continuation', type: 'Continuation' },
+        originalValue: remaining
+      };
+      console.log(`[FieldMapper] ${remaining.length} Part 6 entries continue on additional pages`);
+    }
+  }
+
+  /**
+   * Get the part number from a config part title (e.g. "Part 2. ..." -> "2")
+   * @private
+   * @param {object} part - Config part
+   * @returns {string} Part number
+   */
+  getPartNumber(part) {
+    const match = String(part.part || '').match(/^Part\s+(\d+)/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Check whether a field is currently visible for a profile
+   * @param {string} fieldId - Field identifier
+   * @param {ApplicantProfile} profile - Applicant profile instance
+   * @returns {boolean} True if the field is visible
+   */
+  isFieldVisible(fieldId, profile) {
+    if (!this.conditions) return true;
+    return this.conditions.isVisible(fieldId, profile);
+  }
+
   /**
    * Get nested value from object using dot notation path
    * @private
@@ -183,9 +471,11 @@ class FieldMapper {
    */
   applyValueMapping(value, mapping) {
     if (typeof mapping === 'object') {
-      // Handle checkbox mappings
-      if (mapping.checked !== undefined && value === true) {
-        return mapping.checked;
+      // Handle checkbox mappings: several boxes can share one data_path
+      // (e.g. Part 1 reason, Part 5 statement); a box is checked when the
+      // stored value equals its mapped value
+      if (mapping.checked !== undefined) {
+        return value === true || value === mapping.checked;
       }
       
       // Handle direct mappings
@@ -216,6 +506,10 @@ class FieldMapper {
       
       case 'Radio':
         return String(value);
+
+      case 'Signature':
+        // Signatures are drawn as images (see getSignatureImage), never typed
+        return '';
       
       case 'Text Input':
       default:
@@ -223,6 +517,62 @@ class FieldMapper {
     }
   }
 
+  /**
+   * Format an identifier for its boxes
+   * A-Numbers ("a_number") follow the "A-" printed on the form: the A is
+   * dropped and the digits are zero-padded to the number of boxes
+   * (max_length). "digits" drops everything but digits (e.g. the SSN's
+   * dashes). Other identifiers are printed as entered.
+   * @private
+   * @param {string} value - Formatted value
+   * @param {object} field - Field configuration
+   * @returns {string} Value for the PDF
+   */
+  formatIdentifier(value, field) {
+    if (value === '') return value;
+
+    if (field.identifier === 'a_number') {
+      const digits = value.trim().replace(/^A-?/i, '').replace(/[\s-]/g, '');
+      return /^\d+$/.test(digits) && field.max_length ? digits.padStart(field.max_length, '0') : digits;
+    }
+    if (field.identifier === 'digits') {
+      return value.replace(/\D/g, '');
+    }
+    return value;
+  }
+
+  /**
+   * Convert an identifier read from the boxes back to the profile format
+   * @private
+   * @param {string} value - Value read from the PDF
+   * @param {object} field - Field configuration
+   * @returns {string} Profile value
+   */
+  parseIdentifier(value, field) {
+    if (field.identifier === 'a_number' && /^\d+$/.test(value)) {
+      // 8-digit A-Numbers are zero-padded in the nine boxes
+      return `A${value.replace(/^0(?=\d{8}$)/, '')}`;
+    }
+    if (field.identifier === 'digits' && field.validation && /^\d{9}$/.test(value)) {
+      // SSN boxes hold the digits only; put the dashes back if the profile keeps them
+      const dashed = `${value.slice(0, 3)}-${value.slice(3, 5)}-${value.slice(5)}`;
+      if (new RegExp(field.validation.pattern).test(dashed)) return dashed;
+    }
+    return value;
+  }
+
+  /**
+   * Get the signature image to draw for a Signature field
+   * @private
+   * @param {object} field - Field configuration
+   * @param {*} value - Profile value (PNG or JPEG data URL from SignatureCapture)
+   * @returns {string|null} Data URL or null
+   */
+  getSignatureImage(field, value) {
+    if (field.type !== 'Signature') return null;
+    return typeof value === 'string' && /^data:image\/(png|jpeg);base64,/.test(value) ? value : null;
+  }
+
   /**
    * Format date value
    * @private
@@ -263,9 +613,11 @@ class FieldMapper {
    * Map form data back to applicant profile
    * @param {object} formData - Form data object
    * @param {ApplicantProfile} profile - Profile to update
+   * @param {object} [options] - Options
+   * @param {string[]} [options.fieldIds] - Only apply these fields (e.g. the accepted rows of diffFormData)
    * @returns {ApplicantProfile} Updated profile
    */
-  mapFormToProfile(formData, profile) {
+  mapFormToProfile(formData, profile, options = {}) {
     if (!this.config || !this.config.parts) {
       console.warn('[FieldMapper] Configuration not loaded');
       return profile;
@@ -276,28 +628,102 @@ class FieldMapper {
 
       for (const field of part.fields) {
         if (!field.field_id || !field.data_path) continue;
+        if (options.fieldIds && !options.fieldIds.includes(field.field_id)) continue;
 
         const fieldData = formData[field.field_id];
         if (!fieldData || fieldData.value === undefined) continue;
 
-        let value = fieldData.value;
-
-        // Reverse value mapping
-        if (field.value_mapping) {
-          value = this.reverseValueMapping(value, field.value_mapping);
-        }
-
-        // Parse value based on type
-        value = this.parseValue(value, field.type);
+        const converted = this.getProfileValue(field, fieldData);
+        if (!converted) continue;
 
         // Set nested value
-        this.setNestedValue(profile, field.data_path, value);
+        this.setNestedValue(profile, field.data_path, converted.value);
       }
     }
 
     return profile;
   }
 
+  /**
+   * Compare form data (e.g. read from a filled PDF) with a profile
+   * Lists the fields mapFormToProfile would change, so they can be shown
+   * and confirmed before the profile is overwritten.
+   * @param {object} formData - Form data object
+   * @param {ApplicantProfile} profile - Current profile
+   * @returns {object[]} Changes { fieldId, itemNumber, label: {en, zh}, dataPath, current, imported }
+   */
+  diffFormData(formData, profile) {
+    const changes = [];
+    if (!this.config || !this.config.parts) return changes;
+
+    const normalize = value => (value === undefined || value === null ? '' : String(value));
+
+    for (const part of this.config.parts) {
+      if (!part.fields) continue;
+
+      for (const field of part.fields) {
+        if (!field.field_id || !field.data_path) continue;
+
+        const fieldData = formData[field.field_id];
+        if (!fieldData || fieldData.value === undefined) continue;
+
+        const converted = this.getProfileValue(field, fieldData);
+        if (!converted) continue;
+
+        const current = this.getNestedValue(profile, field.data_path);
+        if (normalize(current) === normalize(converted.value)) continue;
+
+        changes.push({
+          fieldId: field.field_id,
+          itemNumber: field.item_number || '',
+          label: {
+            en: field.field_label_en || field.field_id,
+            zh: field.field_label_zh || field.field_label_en || field.field_id
+          },
+          dataPath: field.data_path,
+          current: current,
+          imported: converted.value
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Convert a form data entry back to the value stored in the profile
+   * @private
+   * @param {object} field - Field configuration
+   * @param {object} fieldData - Form data entry
+   * @returns {object|null} { value }, or null if the entry leaves the profile value alone
+   */
+  getProfileValue(field, fieldData) {
+    if (field.type === 'Signature') {
+      return { value: fieldData.image || '' };
+    }
+
+    // Boxes sharing a data_path (e.g. Part 1 reason) each stand for one
+    // answer; an unchecked box leaves the answer to the others
+    const mapping = field.value_mapping;
+    if (field.type === 'Checkbox' && mapping && mapping.checked !== undefined) {
+      if (this.parseValue(fieldData.value, 'Checkbox')) {
+        return { value: mapping.checked };
+      }
+      return mapping.checked === true ? { value: false } : null;
+    }
+
+    let value = fieldData.value;
+    if (mapping) {
+      value = this.reverseValueMapping(value, mapping);
+    }
+
+    if (field.identifier && typeof value === 'string') {
+      value = this.parseIdentifier(value, field);
+    }
+
+    return { value: typeof value === 'boolean' ? value : this.parseValue(value, field.type) };
+  }
+
   /**
    * Reverse value mapping
    * @private
@@ -311,6 +737,8 @@ class FieldMapper {
       for (const [key, mappedVal] of Object.entries(mapping)) {
         if (mappedVal === value) {
           if (key === 'checked') return true;
+          // Keys of boolean mappings ({"true": "Yes", "false": "No"}) are strings
+          if (key === 'true' || key === 'false') return key === 'true';
           return key;
         }
       }
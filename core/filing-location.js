@@ -0,0 +1,189 @@
+/**
+ * Filing Location Lookup for I-765 Form Application
+ * Finds the USCIS lockbox or service center address for an eligibility category
+ * and state using the editable offline table in filing-locations.json
+ * Last Updated: 2025-12-09
+ */
+
+class FilingLocationLookup {
+  constructor(table) {
+    this.table = table || null;
+  }
+
+  /**
+   * Load the filing location table
+   * @returns {Promise<object>} Filing location table
+   */
+  async loadTable() {
+    if (this.table) return this.table;
+
+    const paths = [
+      './core/filing-locations.json',
+      '../core/filing-locations.json',
+      'core/filing-locations.json'
+    ];
+
+    for (const path of paths) {
+      try {
+        const response = await fetch(path);
+        if (response.ok) {
+          this.table = await response.json();
+          console.log(`[FilingLocationLookup] Loaded table version ${this.table.version}`);
+          return this.table;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    throw new Error('Could not load filing location table from any path');
+  }
+
+  /**
+   * Look up where to file
+   * @param {string} category - Eligibility category (e.g. "(c)(8)")
+   * @param {string} state - Two-letter state of the mailing address
+   * @param {object} [options] - Extra facts some rules depend on
+   * @param {boolean} [options.filedWithI485] - Filed together with Form I-485
+   * @returns {object|null} Filing location { location, name, usps, courier, note, tableVersion } or null
+   */
+  lookup(category, state, options = {}) {
+    if (!this.table) {
+      throw new Error('Filing location table not loaded');
+    }
+
+    const code = this.normalizeCategory(category);
+    const stateCode = String(state || '').trim().toUpperCase();
+
+    const rule = this.table.rules.find(candidate =>
+      this.matchesList(candidate.categories, code) &&
+      this.matchesStates(candidate.states, stateCode) &&
+      (!candidate.requires || options[candidate.requires])
+    );
+
+    if (!rule) return null;
+
+    const location = this.table.locations[rule.location];
+    const attention = rule.attention || 'I-765';
+    const fill = lines => lines.map(line => line.replace('{attention}', attention));
+
+    return {
+      location: rule.location,
+      category: code,
+      state: stateCode,
+      name: { en: location.name_en, zh: location.name_zh },
+      usps: fill(location.usps),
+      courier: fill(location.courier),
+      note: rule.note_en ? { en: rule.note_en, zh: rule.note_zh } : null,
+      tableVersion: this.table.version
+    };
+  }
+
+  /**
+   * Look up where to file for a profile
+   * Uses the mailing address state, falling back to the physical address
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @returns {object|null} Filing location or null
+   */
+  lookupForProfile(profile) {
+    const contact = profile.personalInfo.contact;
+    const state = contact.mailingAddress.state || contact.address.state;
+
+    return this.lookup(profile.eligibilityInfo.category, state, {
+      filedWithI485: profile.paymentInfo && profile.paymentInfo.filedWithI485
+    });
+  }
+
+  /**
+   * Describe a filing location for the client summary and cover sheet
+   * @param {object} result - Result from lookup()
+   * @param {string} language - Language code (en or zh)
+   * @returns {string[]} Description lines
+   */
+  describe(result, language = 'en') {
+    const isZh = language === 'zh';
+    if (!result) {
+      return [isZh ? '未找到递交地址，请查阅 USCIS 官网。' : 'No filing address found; check the USCIS website.'];
+    }
+
+    const lines = [isZh ? `递交地点：${result.name.zh}` : `Filing location: ${result.name.en}`];
+
+    if (result.usps.length > 0) {
+      lines.push(isZh ? '美国邮政 (USPS) 邮寄地址：' : 'For U.S. Postal Service (USPS) deliveries:');
+      lines.push(...result.usps.map(line => `    ${line}`));
+    }
+    if (result.courier.length > 0) {
+      lines.push(isZh ? '快递 (FedEx、UPS、DHL) 地址：' : 'For FedEx, UPS, and DHL deliveries:');
+      lines.push(...result.courier.map(line => `    ${line}`));
+    }
+    if (result.note) {
+      lines.push(isZh ? result.note.zh : result.note.en);
+    }
+
+    lines.push(isZh
+      ? `地址表版本 ${result.tableVersion}，邮寄前请在 USCIS 官网核对。`
+      : `Address table version ${result.tableVersion}; confirm on the USCIS website before mailing.`);
+
+    return lines;
+  }
+
+  /**
+   * Build the filing location section of the filing package cover sheet
+   * @param {object} result - Result from lookup()
+   * @returns {object} Cover sheet section { heading: {en, zh}, lines: {en, zh} }
+   */
+  getCoverSheetSection(result) {
+    return {
+      heading: { en: 'Where to File', zh: '递交地址' },
+      lines: { en: this.describe(result, 'en'), zh: this.describe(result, 'zh') }
+    };
+  }
+
+  /**
+   * Check a rule's category or state list
+   * @private
+   * @param {string|string[]} list - "*" or list of values
+   * @param {string} value - Value to test
+   * @returns {boolean} True if the list matches
+   */
+  matchesList(list, value) {
+    return list === '*' || (Array.isArray(list) && list.includes(value));
+  }
+
+  /**
+   * Check a rule's states, which may name a group in state_groups
+   * @private
+   * @param {string|string[]} states - "*", group name, or list of states
+   * @param {string} state - Two-letter state
+   * @returns {boolean} True if the state matches
+   */
+  matchesStates(states, state) {
+    if (typeof states === 'string' && states !== '*') {
+      return (this.table.state_groups[states] || []).includes(state);
+    }
+    return this.matchesList(states, state);
+  }
+
+  /**
+   * Normalize a category through the eligibility catalog when available
+   * @private
+   * @param {string} category - Category as entered
+   * @returns {string} Catalog code, or the input when unknown
+   */
+  normalizeCategory(category) {
+    const catalog = typeof eligibilityCatalog !== 'undefined'
+      ? eligibilityCatalog
+      : require('./eligibility-categories').eligibilityCatalog;
+    return catalog.normalizeCode(category) || category || '';
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilingLocationLookup;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FilingLocationLookup = FilingLocationLookup;
+}
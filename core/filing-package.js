@@ -0,0 +1,222 @@
+/**
+ * Filing Package Builder for I-765 Form Application
+ * Fills a registered form from an applicant profile and, when an attorney or
+ * accredited representative is attached, a matching Form G-28 in the same run.
+ * The I-765 gets a cover sheet with the address to mail it to.
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * G-28 Part 3 Item 5 role of the client for forms the applicant files themselves
+ * Petitions (I-130, I-140) and the I-864 are filed by someone else, so the role
+ * and client details must be chosen by the preparer.
+ */
+const G28_CLIENT_ROLES = {
+  'i-765': 'APPLICANT',
+  'i-485': 'APPLICANT',
+  'i-589': 'APPLICANT',
+  'n-400': 'APPLICANT'
+};
+
+/**
+ * Forms covered by the filing location table (filing-locations.json)
+ */
+const COVER_SHEET_FORMS = ['i-765'];
+
+/**
+ * Filing Package Builder Class
+ */
+class FilingPackageBuilder {
+  /**
+   * @param {FormRegistry} [registry] - Form registry (default: formRegistry)
+   * @param {FilingLocationLookup} [locations] - Filing location lookup (default: a new one)
+   */
+  constructor(registry, locations) {
+    this.registry = registry || (typeof formRegistry !== 'undefined'
+      ? formRegistry
+      : require('./form-registry').formRegistry);
+    this.locations = locations || null;
+  }
+
+  /**
+   * Fill a form and, if metadata.hasRepresentative is set, a matching G-28
+   * The I-765 starts with a cover sheet giving the filing address for the
+   * profile's eligibility category and mailing state.
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @param {string} formId - Registered form id (e.g. "i-765")
+   * @param {object} [options] - Options passed to PDFProcessor.fillForm;
+   *   coverSheet replaces the built cover sheet (null for none)
+   * @returns {Promise<object>} { documents: [{ formId, formName, filename, pdfBytes, report }], warnings }
+   */
+  async build(profile, formId, options = {}) {
+    const form = this.registry.get(formId);
+    if (!form) {
+      throw new Error(`Unknown form: ${formId}`);
+    }
+
+    const warnings = [];
+    const coverSheet = options.coverSheet !== undefined
+      ? options.coverSheet
+      : await this.buildCoverSheet(profile, form, warnings);
+    const documents = [await this.fillDocument(form.formId, profile, { ...options, coverSheet })];
+
+    if (profile.metadata.hasRepresentative && form.formId !== 'g-28') {
+      // The cover sheet belongs to the main form only
+      const g28Profile = this.getG28Profile(profile, form);
+      documents.push(await this.fillDocument('g-28', g28Profile, { ...options, coverSheet: null }));
+
+      if (!G28_CLIENT_ROLES[form.formId]) {
+        warnings.push({
+          en: `Check the client details in G-28 Part 3: ${form.formName} is not filed by the applicant`,
+          zh: `请核对 G-28 第3部分的客户信息：${form.formName} 并非由申请人本人递交`
+        });
+      }
+    }
+
+    return { documents, warnings };
+  }
+
+  /**
+   * Build the cover sheet with the filing location
+   * @private
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @param {object} form - Registry entry of the form
+   * @param {object[]} warnings - Receives a warning if no address was found
+   * @returns {Promise<object|null>} Cover sheet (see PDFProcessor.addCoverSheet), or null for other forms
+   */
+  async buildCoverSheet(profile, form, warnings) {
+    if (!COVER_SHEET_FORMS.includes(form.formId)) return null;
+
+    if (!this.locations) {
+      const Lookup = typeof FilingLocationLookup !== 'undefined' ? FilingLocationLookup : require('./filing-location');
+      this.locations = new Lookup();
+    }
+    await this.locations.loadTable();
+
+    const result = this.locations.lookupForProfile(profile);
+    if (!result) {
+      warnings.push({
+        en: 'No filing address found for this category and state; the cover sheet says to check the USCIS website',
+        zh: '未找到该类别和州的递交地址，封面提示查阅 USCIS 官网'
+      });
+    }
+
+    return {
+      title: { en: `Form ${form.formName} Filing Package`, zh: `${form.formName} 递交材料` },
+      sections: [this.locations.getCoverSheetSection(result)]
+    };
+  }
+
+  /**
+   * Fill a single registered form
+   * @private
+   * @param {string} formId - Registered form id
+   * @param {object} profile - Applicant profile or plain profile data
+   * @param {object} options - Options passed to PDFProcessor.fillForm
+   * @returns {Promise<object>} { formId, formName, filename, pdfBytes, report }
+   */
+  async fillDocument(formId, profile, options) {
+    const Mapper = typeof FieldMapper !== 'undefined' ? FieldMapper : require('./field-mapper');
+    const Processor = typeof PDFProcessor !== 'undefined' ? PDFProcessor : require('./pdf-processor');
+    const form = this.registry.get(formId);
+
+    const config = await this.registry.loadConfig(formId);
+    const mapper = new Mapper(config, formId);
+    const fillOptions = { ...options };
+    if (config.text_fit && fillOptions.minFontSize === undefined) {
+      fillOptions.minFontSize = config.text_fit.min_font_size;
+    }
+
+    const processor = new Processor();
+    await processor.loadFormTemplate(formId);
+    let { pdfBytes, report } = await processor.fillFormWithReport(mapper.mapProfileToForm(profile), fillOptions);
+
+    // Values too wide for their box even at the smallest font continue in Part 6
+    if (report.tooLong.length > 0 && config.additional_information) {
+      const fitLimits = report.getFitLimits();
+      ({ pdfBytes, report } = await processor.fillFormWithReport(mapper.mapProfileToForm(profile, { fitLimits }), fillOptions));
+    }
+
+    return {
+      formId: form.formId,
+      formName: form.formName,
+      filename: `${form.formId.replace('-', '')}-form.pdf`,
+      pdfBytes,
+      report
+    };
+  }
+
+  /**
+   * Build the bilingual review copy the client signs before a form is filed
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @param {string} formId - Registered form id (e.g. "i-765")
+   * @returns {Promise<object>} { formId, formName, filename, pdf } - pdf is a Blob
+   */
+  async buildReviewCopy(profile, formId) {
+    const Mapper = typeof FieldMapper !== 'undefined' ? FieldMapper : require('./field-mapper');
+    const Processor = typeof PDFProcessor !== 'undefined' ? PDFProcessor : require('./pdf-processor');
+    const form = this.registry.get(formId);
+    if (!form) {
+      throw new Error(`Unknown form: ${formId}`);
+    }
+
+    const config = await this.registry.loadConfig(form.formId);
+    const formData = new Mapper(config, form.formId).mapProfileToForm(profile);
+    const personalInfo = profile.personalInfo || {};
+    const applicantName = [personalInfo.lastName, personalInfo.firstName].filter(Boolean).join(', ');
+
+    const processor = new Processor();
+    await processor.initialize();
+    const pdf = await processor.createPDFFromScratch(formData, { formName: form.formName, applicantName });
+
+    return {
+      formId: form.formId,
+      formName: form.formName,
+      filename: `${form.formId.replace('-', '')}-review-copy.pdf`,
+      pdf
+    };
+  }
+
+  /**
+   * Build the profile data used for the G-28 that accompanies a form
+   * Fills the blanks of Part 3 (agency, form number, client role) from the
+   * accompanying form so the two documents agree; the profile is not changed.
+   * @param {ApplicantProfile} profile - Applicant profile
+   * @param {object} form - Registry entry of the accompanying form
+   * @returns {object} Plain profile data for the G-28
+   */
+  getG28Profile(profile, form) {
+    const data = JSON.parse(JSON.stringify(profile.toJSON ? profile.toJSON() : profile));
+    // Profiles saved before the appearance details were added have none
+    data.representative = data.representative || {};
+    data.representative.appearance = data.representative.appearance || {};
+    const appearance = data.representative.appearance;
+
+    if (!appearance.agency) {
+      appearance.agency = 'USCIS';
+    }
+
+    const listed = appearance.formNumbers
+      ? appearance.formNumbers.split(',').map(name => name.trim().toUpperCase())
+      : [];
+    if (!listed.includes(form.formName)) {
+      appearance.formNumbers = [appearance.formNumbers, form.formName].filter(Boolean).join(', ');
+    }
+
+    if (!appearance.clientRole && G28_CLIENT_ROLES[form.formId]) {
+      appearance.clientRole = G28_CLIENT_ROLES[form.formId];
+    }
+
+    return data;
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilingPackageBuilder;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FilingPackageBuilder = FilingPackageBuilder;
+}
@@ -0,0 +1,310 @@
+/**
+ * Fill Report for I-765 Form Application
+ * Summarizes what PDFProcessor placed on the form (filled, skipped because
+ * conditional, failed, truncated, fuzzy-matched, shrunk, too long) so it can
+ * be reviewed in English or Chinese before the PDF is downloaded
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Why a field could not be placed, keyed by the failure code from fillForm
+ */
+const FILL_FAILURE_REASONS = {
+  no_field_name: { en: 'No PDF field name in the form configuration', zh: '表格配置中没有PDF字段名' },
+  not_found: { en: 'Field not found in the PDF', zh: 'PDF中找不到该字段' },
+  ambiguous: { en: 'Field name matches several PDF fields', zh: '字段名对应多个PDF字段' },
+  option_mismatch: { en: 'Value is not one of the allowed options', zh: '数值不属于允许的选项' },
+  too_long: { en: 'Number is longer than the boxes on the form; check it', zh: '号码超出表格方框的位数，请核对' },
+  unsupported: { en: 'PDF field type is not supported', zh: '不支持该PDF字段类型' },
+  write_error: { en: 'The PDF field could not be written', zh: 'PDF字段无法写入' }
+};
+
+/**
+ * Fill Report Class
+ */
+class FillReport {
+  /**
+   * @param {object} [entries] - Report entries by category
+   * @param {object[]} [entries.filled] - Fields written to the PDF
+   * @param {object[]} [entries.skipped] - Answered fields left blank because their condition is not met
+   * @param {object[]} [entries.failed] - Fields that could not be placed
+   * @param {object[]} [entries.truncated] - Fields cut to fit, continued in Part 6
+   * @param {object[]} [entries.fuzzyMatched] - Fields placed by a similar (short) field name
+   * @param {object[]} [entries.shrunk] - Fields printed in a smaller font to fit their box
+   * @param {object[]} [entries.tooLong] - Fields too wide for their box even at the minimum font size
+   */
+  constructor(entries = {}) {
+    this.filled = entries.filled || [];
+    this.skipped = entries.skipped || [];
+    this.failed = entries.failed || [];
+    this.truncated = entries.truncated || [];
+    this.fuzzyMatched = entries.fuzzyMatched || [];
+    this.shrunk = entries.shrunk || [];
+    this.tooLong = entries.tooLong || [];
+  }
+
+  /**
+   * Build a report from a fill run
+   * @param {object} formData - Form data from FieldMapper
+   * @param {object[]} filledFields - Filled widgets { fieldId, pdfFieldName, requestedName, type, value, matched }
+   * @param {object[]} failedFields - Failed widgets { fieldId, pdfFieldName, value, code, reason, allowedOptions }
+   * @param {object[]} [tooLongFields] - Text widgets that do not fit { fieldId, pdfFieldName, value, maxChars, fontSize }
+   * @returns {FillReport} Report
+   */
+  static fromFill(formData, filledFields, failedFields, tooLongFields = []) {
+    const describe = fieldId => {
+      const field = (formData[fieldId] && formData[fieldId].field) || {};
+      return {
+        fieldId: fieldId,
+        itemNumber: field.item_number || '',
+        label: {
+          en: field.field_label_en || fieldId,
+          zh: field.field_label_zh || field.field_label_en || fieldId
+        }
+      };
+    };
+    const isHidden = fieldId => Boolean(formData[fieldId] && formData[fieldId].hidden);
+
+    // Items spanning several PDF fields are reported once
+    const filled = new Map();
+    for (const widget of filledFields) {
+      if (isHidden(widget.fieldId) || filled.has(widget.fieldId)) continue;
+      filled.set(widget.fieldId, { ...describe(widget.fieldId), value: formData[widget.fieldId].value });
+    }
+
+    const failed = new Map();
+    for (const widget of failedFields) {
+      if (failed.has(widget.fieldId)) continue;
+      failed.set(widget.fieldId, {
+        ...describe(widget.fieldId),
+        value: widget.value,
+        pdfFieldName: widget.pdfFieldName,
+        code: widget.code,
+        detail: widget.reason,
+        allowedOptions: widget.allowedOptions || null
+      });
+      filled.delete(widget.fieldId);
+    }
+
+    const skipped = [];
+    const truncated = [];
+    for (const [fieldId, fieldData] of Object.entries(formData)) {
+      if (!fieldData) continue;
+      if (fieldData.hidden && fieldData.originalValue !== undefined && fieldData.originalValue !== '' &&
+          fieldData.originalValue !== null && fieldData.originalValue !== false) {
+        skipped.push({ ...describe(fieldId), value: fieldData.originalValue });
+      }
+      if (fieldData.overflow) {
+        truncated.push({ ...describe(fieldId), value: fieldData.originalValue, placed: fieldData.value });
+      }
+    }
+
+    const fuzzyMatched = filledFields
+      .filter(widget => widget.matched)
+      .map(widget => ({
+        ...describe(widget.fieldId),
+        value: widget.value,
+        requestedName: widget.requestedName,
+        pdfFieldName: widget.pdfFieldName
+      }));
+
+    const shrunk = filledFields
+      .filter(widget => widget.shrunk && !tooLongFields.some(tooLong => tooLong.pdfFieldName === widget.pdfFieldName))
+      .map(widget => ({ ...describe(widget.fieldId), value: widget.value, fontSize: widget.fontSize }));
+
+    const tooLong = tooLongFields.map(widget => ({
+      ...describe(widget.fieldId),
+      value: widget.value,
+      pdfFieldName: widget.pdfFieldName,
+      maxChars: widget.maxChars
+    }));
+
+    return new FillReport({
+      filled: Array.from(filled.values()),
+      skipped,
+      failed: Array.from(failed.values()),
+      truncated,
+      fuzzyMatched,
+      shrunk,
+      tooLong
+    });
+  }
+
+  /**
+   * Get the number of fields in each category
+   * @returns {object} { filled, skipped, failed, truncated, fuzzyMatched, shrunk, tooLong }
+   */
+  getCounts() {
+    return {
+      filled: this.filled.length,
+      skipped: this.skipped.length,
+      failed: this.failed.length,
+      truncated: this.truncated.length,
+      fuzzyMatched: this.fuzzyMatched.length,
+      shrunk: this.shrunk.length,
+      tooLong: this.tooLong.length
+    };
+  }
+
+  /**
+   * Check whether the PDF needs a look before it is used
+   * Failed fields are missing from the PDF, fuzzy-matched ones may be in the
+   * wrong box and too-long ones run past the edge of their box.
+   * @returns {boolean} True if any field failed, was fuzzy-matched or is too long
+   */
+  hasIssues() {
+    return this.failed.length > 0 || this.fuzzyMatched.length > 0 || this.tooLong.length > 0;
+  }
+
+  /**
+   * Get how many characters of each too-long value fit in its box
+   * Pass the result to FieldMapper.mapProfileToForm(profile, { fitLimits })
+   * so the rest of each value continues in Part 6.
+   * @returns {object} Field id -> characters that fit
+   */
+  getFitLimits() {
+    const limits = {};
+    for (const entry of this.tooLong) {
+      limits[entry.fieldId] = Math.min(entry.maxChars, limits[entry.fieldId] || Infinity);
+    }
+    return limits;
+  }
+
+  /**
+   * One-line summary, e.g. "3 fields could not be placed"
+   * @param {string} language - Language code (en or zh)
+   * @returns {string} Summary
+   */
+  getSummary(language = 'en') {
+    const isZh = language === 'zh';
+    const counts = this.getCounts();
+
+    if (counts.failed > 0) {
+      return isZh
+        ? `${counts.failed} 个字段无法填入PDF`
+        : `${this.countFields(counts.failed)} could not be placed`;
+    }
+    if (counts.tooLong > 0) {
+      return isZh
+        ? `${counts.tooLong} 个字段内容过长，需续写于第6部分`
+        : `${this.countFields(counts.tooLong)} too long for the form; continue them in Part 6`;
+    }
+    if (counts.fuzzyMatched > 0) {
+      return isZh
+        ? `${counts.fuzzyMatched} 个字段按相近的字段名填写，请核对位置`
+        : `${this.countFields(counts.fuzzyMatched)} placed by a similar field name; check their position`;
+    }
+    return isZh
+      ? `已填写全部 ${counts.filled} 个字段`
+      : `All ${this.countFields(counts.filled)} placed`;
+  }
+
+  /**
+   * Describe the report for the pre-download review
+   * @param {string} language - Language code (en or zh)
+   * @returns {string[]} Description lines
+   */
+  describe(language = 'en') {
+    const isZh = language === 'zh';
+    const counts = this.getCounts();
+    const lines = [this.getSummary(language)];
+
+    const section = (entries, heading, detail) => {
+      if (entries.length === 0) return;
+      lines.push(heading);
+      for (const entry of entries) {
+        const label = isZh ? entry.label.zh : entry.label.en;
+        const item = entry.itemNumber ? `${entry.itemNumber} ` : '';
+        const note = detail(entry);
+        lines.push(`    ${item}${label}${note ? ` — ${note}` : ''}`);
+      }
+    };
+
+    section(this.failed,
+      isZh ? `无法填入 (${counts.failed})：` : `Could not be placed (${counts.failed}):`,
+      entry => {
+        const reason = FILL_FAILURE_REASONS[entry.code] || FILL_FAILURE_REASONS.write_error;
+        const value = entry.value !== undefined && entry.value !== null && entry.value !== '' ? ` "${entry.value}"` : '';
+        const allowed = entry.allowedOptions
+          ? ` (${isZh ? '可选' : 'allowed'}: ${entry.allowedOptions.map(option => String(option).trim()).filter(Boolean).join(', ')})`
+          : '';
+        return `${isZh ? reason.zh : reason.en}${value}${allowed}`;
+      });
+
+    section(this.fuzzyMatched,
+      isZh ? `按相近字段名填写 (${counts.fuzzyMatched})：` : `Placed by a similar field name (${counts.fuzzyMatched}):`,
+      entry => entry.pdfFieldName);
+
+    section(this.tooLong,
+      isZh ? `内容过长，最小字号仍放不下 (${counts.tooLong})：` : `Too long even at the smallest font size (${counts.tooLong}):`,
+      entry => isZh ? `只能放下 ${entry.maxChars} 个字符` : `only ${entry.maxChars} characters fit`);
+
+    section(this.shrunk,
+      isZh ? `缩小字号后放入 (${counts.shrunk})：` : `Printed in a smaller font to fit (${counts.shrunk}):`,
+      entry => `${entry.fontSize}pt`);
+
+    section(this.truncated,
+      isZh ? `超出字段长度，续写于第6部分 (${counts.truncated})：` : `Too long for the field, continued in Part 6 (${counts.truncated}):`,
+      () => '');
+
+    section(this.skipped,
+      isZh ? `不适用而留空 (${counts.skipped})：` : `Left blank because they do not apply (${counts.skipped}):`,
+      () => '');
+
+    lines.push(isZh
+      ? `已填写 ${counts.filled} 个字段。`
+      : `${this.countFields(counts.filled)} filled.`);
+
+    return lines;
+  }
+
+  /**
+   * Bilingual rendering for the UI
+   * @returns {object} { summary: {en, zh}, lines: {en, zh}, counts, hasIssues }
+   */
+  render() {
+    return {
+      summary: { en: this.getSummary('en'), zh: this.getSummary('zh') },
+      lines: { en: this.describe('en'), zh: this.describe('zh') },
+      counts: this.getCounts(),
+      hasIssues: this.hasIssues()
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {object} Report entries and counts
+   */
+  toJSON() {
+    return {
+      counts: this.getCounts(),
+      filled: this.filled,
+      skipped: this.skipped,
+      failed: this.failed,
+      truncated: this.truncated,
+      fuzzyMatched: this.fuzzyMatched,
+      shrunk: this.shrunk,
+      tooLong: this.tooLong
+    };
+  }
+
+  /**
+   * "1 field" / "3 fields"
+   * @private
+   * @param {number} count - Number of fields
+   * @returns {string} Counted noun
+   */
+  countFields(count) {
+    return `${count} ${count === 1 ? 'field' : 'fields'}`;
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FillReport;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FillReport = FillReport;
+}
@@ -0,0 +1,200 @@
+/**
+ * Form Registry for I-765 Form Application
+ * Lists the bundled USCIS forms with their field configuration and PDF template
+ * so FieldMapper and PDFProcessor can load any of them by form id
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Bundled forms, keyed by lower-case form id
+ * `config` is relative to the project root; `template` is the blank PDF in the root.
+ */
+const FORM_REGISTRY = {
+  'i-765': {
+    formId: 'i-765',
+    formName: 'I-765',
+    title_en: 'Application for Employment Authorization',
+    title_zh: '工作许可申请',
+    config: 'core/i765-config.json',
+    template: 'i-765.pdf'
+  },
+  'g-28': {
+    formId: 'g-28',
+    formName: 'G-28',
+    title_en: 'Notice of Entry of Appearance as Attorney or Accredited Representative',
+    title_zh: '律师或认可代表出庭通知',
+    config: 'core/g28-config.json',
+    template: 'g-28.pdf'
+  },
+  'i-130': {
+    formId: 'i-130',
+    formName: 'I-130',
+    title_en: 'Petition for Alien Relative',
+    title_zh: '外籍亲属移民申请',
+    config: 'core/i130-config.json',
+    template: 'i-130.pdf'
+  },
+  'i-140': {
+    formId: 'i-140',
+    formName: 'I-140',
+    title_en: 'Immigrant Petition for Alien Workers',
+    title_zh: '外籍劳工移民申请',
+    config: 'core/i140-config.json',
+    template: 'i-140.pdf'
+  },
+  'i-485': {
+    formId: 'i-485',
+    formName: 'I-485',
+    title_en: 'Application to Register Permanent Residence or Adjust Status',
+    title_zh: '永久居留登记或身份调整申请',
+    config: 'core/i485-config.json',
+    template: 'i-485.pdf'
+  },
+  'i-589': {
+    formId: 'i-589',
+    formName: 'I-589',
+    title_en: 'Application for Asylum and for Withholding of Removal',
+    title_zh: '庇护及暂缓遣返申请',
+    config: 'core/i589-config.json',
+    template: 'i-589.pdf'
+  },
+  'i-864': {
+    formId: 'i-864',
+    formName: 'I-864',
+    title_en: 'Affidavit of Support Under Section 213A of the INA',
+    title_zh: '经济担保书',
+    config: 'core/i864-config.json',
+    template: 'i-864.pdf'
+  },
+  'n-400': {
+    formId: 'n-400',
+    formName: 'N-400',
+    title_en: 'Application for Naturalization',
+    title_zh: '入籍申请',
+    config: 'core/n400-config.json',
+    template: 'n-400.pdf'
+  }
+};
+
+/**
+ * Form Registry Class
+ */
+class FormRegistry {
+  constructor(forms = FORM_REGISTRY) {
+    this.forms = forms;
+    this.configs = new Map();
+  }
+
+  /**
+   * Normalize a form id ("I-765", "i765", "g28" -> "i-765", "g-28")
+   * @param {string} formId - Form id or form name
+   * @returns {string} Registry key
+   */
+  normalizeId(formId) {
+    const compact = String(formId || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    const match = compact.match(/^([a-z])(\d+)$/);
+    return match ? `${match[1]}-${match[2]}` : compact;
+  }
+
+  /**
+   * Get a registered form
+   * @param {string} formId - Form id or form name
+   * @returns {object|null} Registry entry or null
+   */
+  get(formId) {
+    return this.forms[this.normalizeId(formId)] || null;
+  }
+
+  /**
+   * List registered forms for a form picker
+   * @param {string} language - Language code (en or zh)
+   * @returns {object[]} Forms as { formId, formName, title }
+   */
+  list(language = 'en') {
+    return Object.values(this.forms).map(form => ({
+      formId: form.formId,
+      formName: form.formName,
+      title: language === 'zh' ? form.title_zh : form.title_en
+    }));
+  }
+
+  /**
+   * Get the candidate fetch paths for a form's field configuration
+   * @param {string} formId - Form id or form name
+   * @returns {string[]} Paths to try in order
+   */
+  getConfigPaths(formId) {
+    const form = this.resolveForm(formId);
+    return [`./${form.config}`, `../${form.config}`, form.config];
+  }
+
+  /**
+   * Get the PDF template path for a form
+   * @param {string} formId - Form id or form name
+   * @returns {string} Template path
+   */
+  getTemplatePath(formId) {
+    return this.resolveForm(formId).template;
+  }
+
+  /**
+   * Load a form's field configuration, caching it per form
+   * @param {string} formId - Form id or form name
+   * @returns {Promise<object>} Field configuration
+   */
+  async loadConfig(formId) {
+    const form = this.resolveForm(formId);
+    if (this.configs.has(form.formId)) return this.configs.get(form.formId);
+
+    for (const path of this.getConfigPaths(form.formId)) {
+      try {
+        const response = await fetch(path);
+        if (response.ok) {
+          const config = await response.json();
+          this.configs.set(form.formId, config);
+          console.log(`[FormRegistry] Loaded ${form.formName} config (edition ${config.version})`);
+          return config;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    throw new Error(`Could not load ${form.formName} config from any path`);
+  }
+
+  /**
+   * Get a registered form or throw
+   * @private
+   * @param {string} formId - Form id or form name
+   * @returns {object} Registry entry
+   */
+  resolveForm(formId) {
+    const form = this.get(formId);
+    if (!form) {
+      throw new Error(`Unknown form: ${formId}`);
+    }
+    return form;
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const formRegistry = new FormRegistry();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FormRegistry,
+    formRegistry,
+    FORM_REGISTRY
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FormRegistry = FormRegistry;
+  window.formRegistry = formRegistry;
+  window.FORM_REGISTRY = FORM_REGISTRY;
+}
@@ -99,17 +99,13 @@ const TRANSLATIONS = {
     'field.workAuthorization.resetToExpire': 'Has or Has Not Reset and Expires',
     'field.workAuthorizationExpDate': 'Work Authorization Expiration Date',
 
-    // Work Authorization Categories
+    // Work Authorization Categories (category labels come from eligibility-categories.js)
     'field.category': 'Category Eligibility',
-    'field.category.h1b': 'H-1B - Specialty Occupation',
-    'field.category.l1a': 'L-1A - Intracompany Transferee (Manager)',
-    'field.category.l1b': 'L-1B - Intracompany Transferee (Specialized Knowledge)',
-    'field.category.e2': 'E-2 - Treaty Investor',
-    'field.category.eb3': 'EB-3 - Skilled Worker',
-    'field.category.asylum': 'Asylum Applicant',
-    'field.category.refugee': 'Refugee',
-    'field.category.nt': 'NT - Family Unity (Nicaraguan/Haitian)',
-    'field.category.tps': 'TPS - Temporary Protected Status',
+    'field.category.search': 'Search by code or description, e.g. (c)(8) or asylum',
+    'field.category.noMatch': 'No eligibility category matches your search',
+    'field.category.evidence': 'Required Evidence',
+    'field.category.supplemental': 'Also answer Item Numbers',
+    'field.category.biometrics': 'A biometric services appointment is expected for this category',
 
     // Document Information
     'field.documentType': 'Document Type',
@@ -289,17 +285,13 @@ const TRANSLATIONS = {
     'field.workAuthorization.resetToExpire': '已或未重置并过期',
     'field.workAuthorizationExpDate': '工作许可过期日期',
 
-    // Work Authorization Categories
+    // Work Authorization Categories (category labels come from eligibility-categories.js)
     'field.category': '类别资格',
-    'field.category.h1b': 'H-1B - 特殊职业',
-    'field.category.l1a': 'L-1A - 公司内部转让（经理）',
-    'field.category.l1b': 'L-1B - 公司内部转让（专业知识）',
-    'field.category.e2': 'E-2 - 条约投资者',
-    'field.category.eb3': 'EB-3 - 熟练工人',
-    'field.category.asylum': '寻求庇护者',
-    'field.category.refugee': '难民',
-    'field.category.nt': 'NT - 家庭统一（尼加拉瓜/海地）',
-    'field.category.tps': 'TPS - 临时保护状态',
+    'field.category.search': '按类别代码或描述搜索，例如 (c)(8) 或 庇护',
+    'field.category.noMatch': '没有符合搜索条件的资格类别',
+    'field.category.evidence': '所需证明文件',
+    'field.category.supplemental': '还须回答以下项目',
+    'field.category.biometrics': '此类别通常需要预约采集生物信息',
 
     // Document Information
     'field.documentType': '文件类型',
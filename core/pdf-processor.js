@@ -4,11 +4,32 @@
  * Last Updated: 2025-12-09
  */
 
+/**
+ * Smallest font size a text value may be shrunk to before it is sent to Part 6
+ * Forms can override it with text_fit.min_font_size, fields with min_font_size.
+ */
+const DEFAULT_MIN_FONT_SIZE = 6;
+
+/**
+ * Bundled Chinese font (Noto Sans SC cut down to the characters in
+ * font/subset-chars.txt), relative to the project root
+ * It also covers Latin text, so mixed English/Chinese lines use it throughout.
+ */
+const CJK_FONT_PATH = 'font/NotoSansSC-Regular-subset.ttf';
+
+/**
+ * Bundled fontkit build, relative to the project root
+ * pdf-lib needs it to embed the Chinese font.
+ */
+const FONTKIT_PATH = 'vendor/fontkit.umd.min.js';
+
 class PDFProcessor {
   constructor() {
     this.pdfLib = null;
     this.templatePDF = null;
     this.initialized = false;
+    this.fontkit = null;
+    this.cjkFontBytes = null;
   }
 
   /**
@@ -77,10 +98,118 @@ class PDFProcessor {
     });
   }
 
+  /**
+   * Load fontkit, which pdf-lib needs to embed the Chinese font
+   * The copy in vendor/ is used, so no network is needed.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadFontkit() {
+    if (this.fontkit) return;
+
+    if (typeof fontkit !== 'undefined') {
+      this.fontkit = fontkit;
+      return;
+    }
+    if (typeof window === 'undefined') {
+      this.fontkit = require(`../${FONTKIT_PATH}`);
+      return;
+    }
+
+    // Pages live in the project root or one level down (pc/, mobile/)
+    for (const path of [FONTKIT_PATH, `../${FONTKIT_PATH}`]) {
+      const loaded = await new Promise(resolve => {
+        const script = document.createElement('script');
+        script.src = path;
+        script.onload = () => resolve(true);
+        script.onerror = () => {
+          script.remove();
+          resolve(false);
+        };
+        document.head.appendChild(script);
+      });
+      if (loaded && window.fontkit) {
+        this.fontkit = window.fontkit;
+        return;
+      }
+    }
+    throw new Error(`Failed to load fontkit from ${FONTKIT_PATH}`);
+  }
+
+  /**
+   * Load the bundled Chinese font, once per processor
+   * @private
+   * @returns {Promise<ArrayBuffer>} Font bytes
+   * @throws {Error} In English and Chinese if the font file is missing
+   */
+  async loadCJKFontBytes() {
+    if (this.cjkFontBytes) return this.cjkFontBytes;
+
+    for (const path of [`./${CJK_FONT_PATH}`, `../${CJK_FONT_PATH}`, CJK_FONT_PATH]) {
+      try {
+        const response = await fetch(path);
+        if (response.ok) {
+          this.cjkFontBytes = await response.arrayBuffer();
+          return this.cjkFontBytes;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    throw new Error(
+      `Chinese font not found at ${CJK_FONT_PATH}; pages with Chinese text cannot be generated.\n` +
+      `找不到中文字体 ${CJK_FONT_PATH}，无法生成含中文的页面。`
+    );
+  }
+
+  /**
+   * Embed the fonts used for pages drawn by the app (cover sheets, Part 6
+   * continuation pages, review copies)
+   * Only the characters actually drawn end up in the PDF.
+   * @private
+   * @param {PDFDocument} pdfDoc - Document to embed into
+   * @returns {Promise<object>} { regular, bold, cjk }
+   * @throws {Error} If the Chinese font or fontkit cannot be loaded
+   */
+  async embedFonts(pdfDoc) {
+    const { StandardFonts } = this.pdfLib;
+    const fontBytes = await this.loadCJKFontBytes();
+    await this.loadFontkit();
+    pdfDoc.registerFontkit(this.fontkit);
+
+    return {
+      regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+      bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+      cjk: await pdfDoc.embedFont(fontBytes, { subset: true })
+    };
+  }
+
+  /**
+   * Pick the font to draw a text with
+   * Latin text keeps Helvetica; anything Helvetica cannot encode (Chinese,
+   * curly quotes outside WinAnsi...) uses the Chinese font.
+   * @private
+   * @param {string} text - Text to draw
+   * @param {object} fonts - Fonts from embedFonts()
+   * @param {boolean} [bold] - Use the bold Latin font
+   * @returns {PDFFont} Font
+   */
+  pickFont(text, fonts, bold = false) {
+    const latin = bold ? fonts.bold : fonts.regular;
+    try {
+      latin.encodeText(String(text));
+      return latin;
+    } catch (e) {
+      return fonts.cjk;
+    }
+  }
+
   /**
    * Load PDF template
    * @param {string|ArrayBuffer} templateSource - Template file path or ArrayBuffer
    * @returns {Promise<void>}
+   * @throws {Error} If the PDF is encrypted (see loadDocument)
    */
   async loadTemplate(templateSource) {
     if (!this.initialized) {
@@ -104,7 +233,7 @@ class PDFProcessor {
         throw new Error('Invalid template source');
       }
 
-      this.templatePDF = await this.pdfLib.PDFDocument.load(arrayBuffer);
+      this.templatePDF = await this.loadDocument(arrayBuffer);
     } catch (error) {
       console.error('[PDFProcessor] Error loading template:', error);
       throw error;
@@ -112,69 +241,374 @@ class PDFProcessor {
   }
 
   /**
-   * Build field name mapping from PDF form
-   * Maps item numbers to actual PDF field names
+   * Parse PDF bytes
+   * The USCIS PDFs bundled with this project are encrypted. pdf-lib refuses
+   * them, and with ignoreEncryption it finds no form fields, so they must be
+   * decrypted before they can be filled or read (see README).
+   * @private
+   * @param {ArrayBuffer|Uint8Array} bytes - PDF bytes
+   * @returns {Promise<PDFDocument>} Document
+   * @throws {Error} In English and Chinese if the PDF is encrypted
+   */
+  async loadDocument(bytes) {
+    try {
+      return await this.pdfLib.PDFDocument.load(bytes);
+    } catch (error) {
+      const { EncryptedPDFError } = this.pdfLib;
+      if ((EncryptedPDFError && error instanceof EncryptedPDFError) || /is encrypted/.test(error.message)) {
+        throw new Error(
+          'This PDF is encrypted, so its form fields cannot be read or filled. ' +
+          'Decrypt it first (e.g. qpdf --decrypt in.pdf out.pdf) and use the decrypted copy.\n' +
+          '此PDF已加密，无法读取或填写表单字段。请先解密（如 qpdf --decrypt in.pdf out.pdf）并使用解密后的文件。'
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the blank PDF template of a registered form
+   * @param {string} formId - Registered form id (e.g. "i-765", "g-28")
+   * @returns {Promise<void>}
+   */
+  async loadFormTemplate(formId) {
+    const registry = typeof formRegistry !== 'undefined'
+      ? formRegistry
+      : require('./form-registry').formRegistry;
+
+    await this.loadTemplate(registry.getTemplatePath(formId));
+  }
+
+  /**
+   * Index template fields by their last name segment for non-strict fills
+   * "form1[0].Page1[0].Line1a_FamilyName[0]" is found as "Line1a_FamilyName[0]"
+   * or "Line1a_FamilyName"; a short name shared by several fields (e.g. the
+   * two "Line3a_FamilyName" boxes on page 1) is ambiguous and never used.
    * @private
    * @param {PDFForm} form - PDF form object
-   * @returns {Map} Field name mapping
-   */
-  buildFieldNameMapping(form) {
-    const mapping = new Map();
-    const allFields = form.getFields();
-    
-    // Common I-765 field name patterns
-    const fieldPatterns = {
-      // Part 1 - Reason for Applying
-      '1.a.': ['1a', '1_a', 'reason_initial', 'initial', 'Part1_1a'],
-      '1.b.': ['1b', '1_b', 'reason_replacement', 'replacement', 'Part1_1b'],
-      '1.c.': ['1c', '1_c', 'reason_renewal', 'renewal', 'Part1_1c'],
-      
-      // Part 2 - Personal Information
-      '1.a.': ['1a', '1_a', 'last_name', 'family_name', 'surname', 'Part2_1a'],
-      '1.b.': ['1b', '1_b', 'first_name', 'given_name', 'Part2_1b'],
-      '1.c.': ['1c', '1_c', 'middle_name', 'Part2_1c'],
-      
-      // Address fields
-      '5.a.': ['5a', '5_a', 'mailing_in_care_of', 'in_care_of'],
-      '5.b.': ['5b', '5_b', 'mailing_street', 'street_address'],
-      '5.c.': ['5c', '5_c', 'mailing_apt', 'apt', 'suite', 'floor'],
-      '5.d.': ['5d', '5_d', 'mailing_city', 'city'],
-      '5.e.': ['5e', '5_e', 'mailing_state', 'state'],
-      '5.f.': ['5f', '5_f', 'mailing_zip', 'zip_code', 'zipcode'],
-      
-      // Other common fields
-      '8.': ['8', 'alien_number', 'a_number', 'a_number_8'],
-      '9.': ['9', 'uscis_account_number', 'account_number'],
-      '10.': ['10', 'sex', 'gender'],
-      '11.': ['11', 'marital_status'],
-      '12.': ['12', 'previously_filed_i765'],
-      '13.a.': ['13a', '13_a', 'ssa_issued_card'],
-      '13.b.': ['13b', '13_b', 'ssn_number', 'ssn'],
-      '14.': ['14', 'want_ssa_card'],
-      '15.': ['15', 'consent_for_disclosure'],
-      '20.': ['20', 'date_of_birth', 'dob', 'birth_date'],
-      '21.a.': ['21a', '21_a', 'i94_number', 'i94'],
-      '27.': ['27', 'eligibility_category', 'category'],
-    };
+   * @returns {Map<string, string[]>} Short name -> full field names
+   */
+  buildFieldNameIndex(form) {
+    const index = new Map();
 
-    // Try to match fields by name patterns
-    for (const [itemNumber, patterns] of Object.entries(fieldPatterns)) {
-      for (const field of allFields) {
-        const fieldName = field.getName().toLowerCase();
-        for (const pattern of patterns) {
-          if (fieldName.includes(pattern.toLowerCase()) || 
-              fieldName === pattern.toLowerCase() ||
-              fieldName.replace(/[^a-zA-Z0-9]/g, '') === pattern.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()) {
-            if (!mapping.has(itemNumber)) {
-              mapping.set(itemNumber, field.getName());
-              console.log(`[PDFProcessor] Mapped ${itemNumber} -> ${field.getName()}`);
-            }
-          }
-        }
+    for (const field of form.getFields()) {
+      const name = field.getName();
+      const segment = this.getShortFieldName(name);
+      for (const key of new Set([segment, segment.replace(/\[\d+\]$/, '')])) {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(name);
       }
     }
 
-    return mapping;
+    return index;
+  }
+
+  /**
+   * Get the normalized last segment of a field name ("...Page1[0].Line1a_FamilyName[0]" -> "line1a_familyname[0]")
+   * @private
+   * @param {string} name - Field name
+   * @returns {string} Short name
+   */
+  getShortFieldName(name) {
+    return String(name).split('.').pop().trim().toLowerCase();
+  }
+
+  /**
+   * Find a form field by its exact name, or by a unique short name when an index is given
+   * @private
+   * @param {PDFForm} form - PDF form object
+   * @param {string} pdfFieldName - Field name from the config
+   * @param {Map|null} fieldIndex - Index from buildFieldNameIndex, or null for exact names only
+   * @returns {object} { field, matched, code, reason } - field is null when not found
+   */
+  findField(form, pdfFieldName, fieldIndex) {
+    const field = form.getFieldMaybe(pdfFieldName);
+    if (field) return { field, matched: false, code: null, reason: null };
+    if (!fieldIndex) return { field: null, matched: false, code: 'not_found', reason: 'not found' };
+
+    const candidates = fieldIndex.get(this.getShortFieldName(pdfFieldName)) || [];
+    if (candidates.length === 1) {
+      return { field: form.getField(candidates[0]), matched: true, code: null, reason: null };
+    }
+    if (candidates.length > 1) {
+      return { field: null, matched: false, code: 'ambiguous', reason: `ambiguous (${candidates.join(', ')})` };
+    }
+    return { field: null, matched: false, code: 'not_found', reason: 'not found' };
+  }
+
+  /**
+   * Set a form field's value
+   * Radio groups, dropdowns and option lists select the PDF option that the
+   * value maps to through the config option's export_value (e.g. "F" ->
+   * "Female"); a value that matches none of the PDF's options throws an error
+   * carrying the allowed options. An identifier longer than its boxes throws
+   * an error with code "too_long" instead of being cut.
+   * @private
+   * @param {PDFField} field - Form field
+   * @param {*} value - Value to set
+   * @param {object} [fieldConfig] - Field configuration the value came from
+   * @returns {string|null} Filled type ("text", "checkbox", "radio", "dropdown", "optionlist"), or null for unsupported fields
+   */
+  setFieldValue(field, value, fieldConfig) {
+    const { PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList } = this.pdfLib;
+
+    if (field instanceof PDFTextField) {
+      // pdf-lib cannot draw rich text; some USCIS Additional Information boxes are flagged as such
+      if (field.isRichFormatted()) {
+        field.disableRichFormatting();
+      }
+      // Text past the field's MaxLen is cut here and reported by fitTextField,
+      // except identifiers (one character per box), which would lose a digit
+      const text = String(value || '');
+      const maxLength = field.getMaxLength();
+      if (maxLength !== undefined && text.length > maxLength &&
+        (field.isCombed() || (fieldConfig && fieldConfig.identifier))) {
+        const error = new Error(`"${text}" has ${text.length} characters; the field holds ${maxLength}`);
+        error.code = 'too_long';
+        throw error;
+      }
+      field.setText(maxLength !== undefined && text.length > maxLength ? text.substring(0, maxLength) : text);
+      return 'text';
+    }
+
+    if (field instanceof PDFCheckBox) {
+      if (this.isCheckedValue(field, value)) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+      return 'checkbox';
+    }
+
+    if (field instanceof PDFRadioGroup) {
+      if (value === '' || value === null || value === undefined) {
+        field.clear();
+      } else {
+        field.select(this.matchOption(field.getOptions(), this.getExportValue(value, fieldConfig), 'radio group'));
+      }
+      return 'radio';
+    }
+
+    if (field instanceof PDFDropdown) {
+      if (value === '' || value === null || value === undefined) {
+        field.clear();
+      } else {
+        const exportValue = this.getExportValue(value, fieldConfig);
+        // Editable combo boxes also accept text that is not in the list
+        field.select(field.isEditable() && !this.findOption(field.getOptions(), exportValue)
+          ? exportValue
+          : this.matchOption(field.getOptions(), exportValue, 'dropdown'));
+      }
+      return 'dropdown';
+    }
+
+    if (field instanceof PDFOptionList) {
+      const values = Array.isArray(value) ? value : String(value || '').split(/\s*[,;]\s*/).filter(Boolean);
+      if (values.length === 0) {
+        field.clear();
+        return 'optionlist';
+      }
+      if (values.length > 1 && !field.isMultiselect()) {
+        throw new Error(`Option list allows one selection, got ${values.length}`);
+      }
+      field.select(values.map(item => this.matchOption(field.getOptions(), this.getExportValue(item, fieldConfig), 'option list')));
+      return 'optionlist';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a value checks a checkbox
+   * Accepts true, "X", "Yes", "Y", "true", "on", "checked", "1" in any case,
+   * and the checkbox's own export value (e.g. "A" for I-765 Part 3 item 1.a.)
+   * @private
+   * @param {PDFCheckBox} checkbox - Checkbox field
+   * @param {*} value - Value to test
+   * @returns {boolean} True if the box should be checked
+   */
+  isCheckedValue(checkbox, value) {
+    if (value === true) return true;
+    if (value === false || value === null || value === undefined) return false;
+
+    const text = String(value).trim().toLowerCase();
+    if (['x', 'yes', 'y', 'true', 'on', 'checked', '1'].includes(text)) return true;
+
+    return checkbox.acroField.getWidgets().some(widget => {
+      const onValue = widget.getOnValue();
+      return Boolean(onValue) && onValue.decodeText().trim().toLowerCase() === text;
+    });
+  }
+
+  /**
+   * Get the PDF export value for a config option value
+   * @private
+   * @param {*} value - Config option value (e.g. "F")
+   * @param {object} [fieldConfig] - Field configuration
+   * @returns {string} The option's export_value, or the value itself
+   */
+  getExportValue(value, fieldConfig) {
+    const options = (fieldConfig && fieldConfig.options) || [];
+    const option = options.find(candidate => String(candidate.value) === String(value));
+    return option && option.export_value !== undefined ? String(option.export_value) : String(value);
+  }
+
+  /**
+   * Find a PDF option equal to a value, ignoring case and padding
+   * (the N-400 state list stores " NY" with a leading space)
+   * @private
+   * @param {string[]} options - Options of the PDF field
+   * @param {string} value - Export value
+   * @returns {string|undefined} The PDF option
+   */
+  findOption(options, value) {
+    const text = String(value).trim().toLowerCase();
+    return options.find(option => option === value) ||
+      options.find(option => option.trim().toLowerCase() === text);
+  }
+
+  /**
+   * Get the PDF option for a value or throw
+   * @private
+   * @param {string[]} options - Options of the PDF field
+   * @param {string} value - Export value
+   * @param {string} kind - Field kind for the error message
+   * @returns {string} The PDF option
+   */
+  matchOption(options, value, kind) {
+    const option = this.findOption(options, value);
+    if (option === undefined) {
+      const error = new Error(`"${value}" matches no option of the ${kind} (${options.map(item => item.trim()).filter(Boolean).join(', ')})`);
+      error.allowedOptions = options;
+      throw error;
+    }
+    return option;
+  }
+
+  /**
+   * Measure a text value against its box and shrink the font to fit
+   * The value is measured with the standard font closest to the field's own
+   * (USCIS fields use Courier New Bold) and the appearance is drawn with that
+   * font, so what was measured is what prints. Comb and multi-line fields are
+   * only checked against their MaxLen.
+   * @private
+   * @param {PDFDocument} pdfDoc - Document being filled
+   * @param {PDFTextField} field - Text field already set to the value
+   * @param {string} text - Value
+   * @param {number} minFontSize - Smallest acceptable font size
+   * @param {Map} fonts - Embedded fonts by standard font name, shared across fields
+   * @returns {Promise<object|null>} { fits, fontSize, shrunk, maxChars }, or null if not measured
+   */
+  async fitTextField(pdfDoc, field, text, minFontSize, fonts) {
+    const maxLength = field.getMaxLength();
+    const overMaxLength = maxLength !== undefined && text.length > maxLength;
+    if (field.isCombed() || field.isMultiline()) {
+      return overMaxLength ? { fits: false, fontSize: null, shrunk: false, maxChars: maxLength } : null;
+    }
+
+    const widget = field.acroField.getWidgets()[0];
+    if (!widget) return null;
+
+    const { fontName, fontSize } = this.parseDefaultAppearance(field);
+    const standardFont = this.getStandardFontName(fontName);
+    if (!fonts.has(standardFont)) {
+      fonts.set(standardFont, await pdfDoc.embedFont(standardFont));
+    }
+    const font = fonts.get(standardFont);
+
+    // pdf-lib insets the text by the border width plus one point on each side
+    const rect = widget.getRectangle();
+    const border = widget.getBorderStyle() ? widget.getBorderStyle().getWidth() : 1;
+    const width = rect.width - 2 * (border + 1);
+    const height = rect.height - 2 * (border + 1);
+
+    // Auto-sized (0 Tf) fields start from the largest size that fits the height
+    const baseSize = fontSize > 0 ? fontSize : Math.min(12, Math.floor(height / font.heightAtSize(1)));
+    // Only the first MaxLen characters were written; the rest has to continue in Part 6 anyway
+    const printed = overMaxLength ? text.substring(0, maxLength) : text;
+    const textWidth = font.widthOfTextAtSize(printed, 1);
+    const fittingSize = textWidth > 0 ? Math.floor((width / textWidth) * 10) / 10 : baseSize;
+
+    let result;
+    if (fittingSize >= baseSize) {
+      result = { fits: true, fontSize: baseSize, shrunk: false };
+    } else if (fittingSize >= minFontSize) {
+      result = { fits: true, fontSize: fittingSize, shrunk: true };
+    } else {
+      result = { fits: false, fontSize: minFontSize, shrunk: true };
+    }
+    if (overMaxLength) {
+      result.fits = false;
+    }
+    result.maxChars = result.fits
+      ? text.length
+      : Math.min(maxLength !== undefined ? maxLength : text.length, this.countFittingChars(font, text, baseSize, width));
+
+    if (result.fontSize !== fontSize) {
+      // USCIS forms escape the appearance string ("\057" for "/"), which pdf-lib cannot change
+      field.acroField.setDefaultAppearance(this.getDefaultAppearance(field));
+      field.setFontSize(result.fontSize);
+    }
+    field.updateAppearances(font);
+    return result;
+  }
+
+  /**
+   * Count how many leading characters of a text fit in a width
+   * @private
+   * @param {PDFFont} font - Font
+   * @param {string} text - Text
+   * @param {number} fontSize - Font size
+   * @param {number} width - Available width
+   * @returns {number} Number of characters
+   */
+  countFittingChars(font, text, fontSize, width) {
+    let count = text.length;
+    while (count > 0 && font.widthOfTextAtSize(text.substring(0, count), fontSize) > width) {
+      count--;
+    }
+    return count;
+  }
+
+  /**
+   * Get a field's default appearance with octal escapes decoded
+   * @private
+   * @param {PDFTextField} field - Text field
+   * @returns {string} Default appearance ('' if none)
+   */
+  getDefaultAppearance(field) {
+    return String(field.acroField.getDefaultAppearance() || '')
+      .replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+  }
+
+  /**
+   * Read the font name and size from a field's default appearance ("/CourierNewPS-BoldMT 10.00 Tf 0 g")
+   * @private
+   * @param {PDFTextField} field - Text field
+   * @returns {object} { fontName, fontSize } - fontSize is 0 for auto-sized fields
+   */
+  parseDefaultAppearance(field) {
+    const appearance = this.getDefaultAppearance(field);
+    const match = appearance.match(/\/([^\s/]+)\s+(\d*\.?\d+)\s+Tf/);
+    return match
+      ? { fontName: match[1], fontSize: parseFloat(match[2]) }
+      : { fontName: 'Helv', fontSize: 0 };
+  }
+
+  /**
+   * Get the pdf-lib standard font that best matches a PDF font name
+   * @private
+   * @param {string} fontName - Font resource name (e.g. "CourierNewPS-BoldMT", "Helv")
+   * @returns {string} StandardFonts value
+   */
+  getStandardFontName(fontName) {
+    const { StandardFonts } = this.pdfLib;
+    const name = String(fontName).toLowerCase();
+    const bold = name.includes('bold') || name === 'hebo';
+
+    if (name.includes('cour')) return bold ? StandardFonts.CourierBold : StandardFonts.Courier;
+    if (name.includes('times') || name.startsWith('tiro')) return bold ? StandardFonts.TimesRomanBold : StandardFonts.TimesRoman;
+    return bold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica;
   }
 
   /**
@@ -182,8 +616,21 @@ class PDFProcessor {
    * @param {object} formData - Form data mapped by field mapper
    * @param {object} options - Processing options
    * @returns {Promise<Uint8Array>} Filled PDF as Uint8Array
+   * @throws {Error} In strict mode, when any field cannot be filled (error.failedFields lists them)
    */
   async fillForm(formData, options = {}) {
+    const { pdfBytes } = await this.fillFormWithReport(formData, options);
+    return pdfBytes;
+  }
+
+  /**
+   * Fill PDF form with data and report what was placed
+   * @param {object} formData - Form data mapped by field mapper
+   * @param {object} options - Processing options (see fillForm)
+   * @returns {Promise<object>} { pdfBytes, report } - report is a FillReport
+   * @throws {Error} In strict mode, when any field cannot be filled (error.failedFields and error.report describe them)
+   */
+  async fillFormWithReport(formData, options = {}) {
     if (!this.templatePDF) {
       throw new Error('PDF template not loaded');
     }
@@ -191,143 +638,134 @@ class PDFProcessor {
     const {
       flatten = false, // Flatten form fields
       editable = true,  // Keep form editable
-      includeSignature = true
+      includeSignature = true,
+      coverSheet = null, // Filing package cover sheet placed before the form
+      strict = false, // Exact field names only; throw if any field cannot be filled
+      minFontSize = DEFAULT_MIN_FONT_SIZE // Shrink long text down to this size
     } = options;
 
     try {
       // Clone the template
       const pdfDoc = await this.pdfLib.PDFDocument.load(await this.templatePDF.save());
       const form = pdfDoc.getForm();
-      
-      // Build field name mapping
-      const fieldMapping = this.buildFieldNameMapping(form);
 
-      // Get all form field names for debugging
-      const allFieldNames = form.getFields().map(f => f.getName());
-      console.log('[PDFProcessor] Available PDF form fields:', allFieldNames);
+      // Non-strict fills also accept a unique short field name
+      const fieldIndex = strict ? null : this.buildFieldNameIndex(form);
+
       console.log('[PDFProcessor] Form data to fill:', Object.keys(formData));
-      console.log('[PDFProcessor] Field name mapping:', Array.from(fieldMapping.entries()));
 
       const filledFields = [];
       const failedFields = [];
+      const tooLongFields = [];
+      const signatures = [];
+      const fonts = new Map();
 
       // Fill form fields
       for (const [fieldId, fieldData] of Object.entries(formData)) {
+        // Part 6 continuation entries are drawn on extra pages below
+        if (fieldData && fieldData.field && fieldData.field.type === 'Continuation') {
+          continue;
+        }
+
         if (!fieldData || !fieldData.pdfFieldName) {
+          failedFields.push({ fieldId, pdfFieldName: null, value: fieldData && fieldData.value, code: 'no_field_name', reason: 'no pdfFieldName' });
           console.warn(`[PDFProcessor] Skipping field ${fieldId}: no pdfFieldName`);
           continue;
         }
 
-        const pdfFieldName = fieldData.pdfFieldName;
-        const value = fieldData.value;
-        
-        // Try to find the field using mapping first
-        let actualFieldName = fieldMapping.get(pdfFieldName) || pdfFieldName;
-        let fieldFound = false;
-
-        // Try multiple field name variations
-        const fieldNameVariations = [
-          actualFieldName,
-          pdfFieldName,
-          pdfFieldName.replace(/\./g, '_'),
-          pdfFieldName.replace(/\./g, ''),
-          pdfFieldName.toLowerCase(),
-          pdfFieldName.toUpperCase()
-        ];
-
-        for (const fieldName of fieldNameVariations) {
-          if (fieldFound) break;
+        // A value outside the config's options would check no box or the wrong one
+        if (fieldData.optionMismatch) {
+          const { value, allowed } = fieldData.optionMismatch;
+          const failure = `"${value}" matches no option (${allowed.join(', ')})`;
+          failedFields.push({ fieldId, pdfFieldName: fieldData.pdfFieldName, value, code: 'option_mismatch', reason: failure, allowedOptions: allowed });
+          console.warn(`[PDFProcessor] ✗ Could not fill field: ${fieldId}: ${failure}`);
+          continue;
+        }
+
+        // Items spanning several AcroForm fields (radio boxes, item 27) fill each one
+        const targets = fieldData.widgets || [{ pdfFieldName: fieldData.pdfFieldName, value: fieldData.value }];
 
+        for (const { pdfFieldName, value } of targets) {
+          const { field, matched, code, reason } = this.findField(form, pdfFieldName, fieldIndex);
+          let type = null;
+          let error = null;
           try {
-            // Try as text field
-            try {
-              const field = form.getTextField(fieldName);
-              if (field) {
-                field.setText(String(value || ''));
-                filledFields.push({ fieldId, pdfFieldName: fieldName, type: 'text', value });
-                fieldFound = true;
-                console.log(`[PDFProcessor] ✓ Filled text field: ${fieldName} (original: ${pdfFieldName}) = ${value}`);
-                break;
-              }
-            } catch (textError) {
-              // Try as checkbox
-              try {
-                const checkbox = form.getCheckBox(fieldName);
-                if (checkbox) {
-                  if (value === true || value === 'X' || value === 'checked' || value === 'Yes' || value === 'initial' || value === 'replacement' || value === 'renewal') {
-                    checkbox.check();
-                  } else {
-                    checkbox.uncheck();
-                  }
-                  filledFields.push({ fieldId, pdfFieldName: fieldName, type: 'checkbox', value });
-                  fieldFound = true;
-                  console.log(`[PDFProcessor] ✓ Filled checkbox: ${fieldName} (original: ${pdfFieldName}) = ${value}`);
-                  break;
-                }
-              } catch (checkboxError) {
-                // Continue to next variation
-              }
-            }
-          } catch (error) {
-            // Continue to next variation
+            type = field ? this.setFieldValue(field, value, fieldData.field) : null;
+          } catch (setError) {
+            // Option mismatches, or fields pdf-lib refuses to write
+            error = setError;
           }
-        }
 
-        // If still not found, try fuzzy matching
-        if (!fieldFound) {
-          const similarField = allFieldNames.find(name => {
-            const nameLower = name.toLowerCase();
-            const pdfLower = pdfFieldName.toLowerCase();
-            return nameLower.includes(pdfLower) ||
-                   pdfLower.includes(nameLower) ||
-                   nameLower.replace(/[^a-zA-Z0-9]/g, '') === pdfLower.replace(/[^a-zA-Z0-9]/g, '');
-          });
-          
-          if (similarField) {
-            try {
-              const field = form.getTextField(similarField);
-              if (field) {
-                field.setText(String(value || ''));
-                filledFields.push({ fieldId, pdfFieldName: similarField, type: 'text', value, matched: true });
-                fieldFound = true;
-                console.log(`[PDFProcessor] ✓ Filled text field (fuzzy matched): ${similarField} (original: ${pdfFieldName}) = ${value}`);
-              }
-            } catch (matchError) {
-              try {
-                const checkbox = form.getCheckBox(similarField);
-                if (checkbox) {
-                  if (value === true || value === 'X' || value === 'checked' || value === 'Yes') {
-                    checkbox.check();
-                  } else {
-                    checkbox.uncheck();
-                  }
-                  filledFields.push({ fieldId, pdfFieldName: similarField, type: 'checkbox', value, matched: true });
-                  fieldFound = true;
-                  console.log(`[PDFProcessor] ✓ Filled checkbox (fuzzy matched): ${similarField} (original: ${pdfFieldName}) = ${value}`);
-                }
-              } catch (matchCheckboxError) {
-                // Field not found
-              }
+          if (!type) {
+            const failure = reason || (error && error.message) || `unsupported field type ${this.getFieldType(field)}`;
+            const failureCode = code || (error ? error.code || (error.allowedOptions ? 'option_mismatch' : 'write_error') : 'unsupported');
+            failedFields.push({ fieldId, pdfFieldName, value, code: failureCode, reason: failure, allowedOptions: error ? error.allowedOptions : undefined });
+            console.warn(`[PDFProcessor] ✗ Could not fill field: ${pdfFieldName} (fieldId: ${fieldId}): ${failure}`);
+            continue;
+          }
+
+          // Shrink text that is too wide for its box; flag it for Part 6 if even the minimum size is too big
+          let fit = null;
+          if (type === 'text' && value) {
+            const fieldMinimum = (fieldData.field && fieldData.field.min_font_size) || minFontSize;
+            fit = await this.fitTextField(pdfDoc, field, String(value), fieldMinimum, fonts);
+            if (fit && !fit.fits) {
+              tooLongFields.push({ fieldId, pdfFieldName: field.getName(), value, maxChars: fit.maxChars, fontSize: fit.fontSize });
+              console.warn(`[PDFProcessor] ✗ Text too long for ${field.getName()} at ${fit.fontSize}pt; ${fit.maxChars} characters fit`);
             }
           }
-        }
 
-        if (!fieldFound) {
-          failedFields.push({ fieldId, pdfFieldName, value });
-          console.warn(`[PDFProcessor] ✗ Could not fill field: ${pdfFieldName} (fieldId: ${fieldId})`);
+          if (fieldData.image) {
+            signatures.push({ fieldId, field, image: fieldData.image });
+          }
+
+          filledFields.push({
+            fieldId,
+            pdfFieldName: field.getName(),
+            requestedName: pdfFieldName,
+            type,
+            value,
+            matched,
+            fontSize: fit ? fit.fontSize : undefined,
+            shrunk: Boolean(fit && fit.shrunk)
+          });
+          console.log(`[PDFProcessor] ✓ Filled ${type}${matched ? ' (matched by short name)' : ''}: ${field.getName()} = ${value}`);
         }
       }
 
       console.log(`[PDFProcessor] Summary: ${filledFields.length} fields filled, ${failedFields.length} fields failed`);
       if (failedFields.length > 0) {
         console.warn('[PDFProcessor] Failed fields:', failedFields);
-        console.warn('[PDFProcessor] Available PDF fields:', allFieldNames);
       }
 
-      // Handle signature if provided
-      if (includeSignature && formData.applicant_signature && formData.applicant_signature.value) {
-        // Signature handling would go here
-        // This requires additional implementation for signature images
+      const optionMismatches = failedFields.filter(failed => failed.allowedOptions);
+      if (optionMismatches.length > 0) {
+        console.warn(`[PDFProcessor] ${optionMismatches.length} values match no allowed option:`,
+          optionMismatches.map(failed => `${failed.fieldId} = "${failed.value}"`));
+      }
+
+      const Report = typeof FillReport !== 'undefined' ? FillReport : require('./fill-report');
+      const report = Report.fromFill(formData, filledFields, failedFields, tooLongFields);
+
+      if (strict && failedFields.length > 0) {
+        const error = new Error(`Strict fill failed: ${failedFields.length} fields could not be filled: ` +
+          failedFields.map(failed => `${failed.fieldId} (${failed.pdfFieldName}: ${failed.reason})`).join(', '));
+        error.failedFields = failedFields;
+        error.report = report;
+        throw error;
+      }
+
+      // Part 6 is full: continue on extra pages at the end of the form
+      if (formData.additional_info_continuation) {
+        await this.addContinuationPages(pdfDoc, formData.additional_info_continuation.value);
+      }
+
+      // Signature images go in the signature boxes; the dates were filled with the other fields
+      if (includeSignature) {
+        for (const signature of signatures) {
+          await this.drawSignature(pdfDoc, signature.field, signature.image);
+          console.log(`[PDFProcessor] ✓ Signed ${signature.fieldId}`);
+        }
       }
 
       // Flatten if requested
@@ -335,15 +773,243 @@ class PDFProcessor {
         form.flatten();
       }
 
+      if (coverSheet) {
+        await this.addCoverSheet(pdfDoc, coverSheet, 0);
+      }
+
       // Save PDF
       const pdfBytes = await pdfDoc.save();
-      return pdfBytes;
+      return { pdfBytes, report };
     } catch (error) {
       console.error('[PDFProcessor] Error filling form:', error);
       throw error;
     }
   }
 
+  /**
+   * Draw a signature image in a signature field's box
+   * The image is scaled to fit the box, keeping its proportions, and sits
+   * on its left edge. It is drawn on the page under the (transparent,
+   * read-only) signature field, so it survives flattening.
+   * @private
+   * @param {PDFDocument} pdfDoc - Document being filled
+   * @param {PDFField} field - Signature field
+   * @param {string} dataUrl - PNG or JPEG data URL
+   * @returns {Promise<void>}
+   */
+  async drawSignature(pdfDoc, field, dataUrl) {
+    const image = dataUrl.startsWith('data:image/png')
+      ? await pdfDoc.embedPng(dataUrl)
+      : await pdfDoc.embedJpg(dataUrl);
+
+    for (const widget of field.acroField.getWidgets()) {
+      const page = this.findWidgetPage(pdfDoc, widget);
+      if (!page) continue;
+
+      const rect = widget.getRectangle();
+      const inset = 1;
+      const scale = Math.min((rect.width - 2 * inset) / image.width, (rect.height - 2 * inset) / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+
+      page.drawImage(image, {
+        x: rect.x + inset,
+        y: rect.y + (rect.height - height) / 2,
+        width,
+        height
+      });
+    }
+  }
+
+  /**
+   * Find the page a widget is on
+   * Uses the widget's /P entry, falling back to the pages' annotation lists
+   * since many forms leave /P out.
+   * @private
+   * @param {PDFDocument} pdfDoc - Document
+   * @param {PDFWidgetAnnotation} widget - Widget
+   * @returns {PDFPage|null} Page or null
+   */
+  findWidgetPage(pdfDoc, widget) {
+    const pages = pdfDoc.getPages();
+    const pageRef = widget.P();
+    const page = pageRef ? pages.find(candidate => candidate.ref === pageRef) : null;
+    if (page) return page;
+
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    return pages.find(candidate => {
+      const annots = candidate.node.Annots();
+      return Boolean(widgetRef && annots && annots.asArray().includes(widgetRef));
+    }) || null;
+  }
+
+  /**
+   * Add Part 6 continuation pages for entries that did not fit on page 7
+   * Each page repeats the applicant's name and A-Number, and each entry
+   * carries its Page/Part/Item reference as USCIS requires
+   * @private
+   * @param {PDFDocument} pdfDoc - Document to append pages to
+   * @param {object} continuation - { header, entries } from FieldMapper
+   * @returns {Promise<void>}
+   */
+  async addContinuationPages(pdfDoc, continuation) {
+    const fonts = await this.embedFonts(pdfDoc);
+    const boldFont = fonts.bold;
+    const { header, entries } = continuation;
+    const margin = 50;
+    const fontSize = 10;
+    const lineHeight = 14;
+    const maxWidth = 612 - margin * 2;
+
+    let page = null;
+    let yPosition = 0;
+
+    const newPage = () => {
+      page = pdfDoc.addPage([612, 792]);
+      yPosition = page.getSize().height - margin;
+
+      page.drawText('Form I-765 - Part 6. Additional Information (Continued)', {
+        x: margin, y: yPosition, size: 12, font: boldFont
+      });
+      yPosition -= lineHeight * 1.5;
+
+      const name = [header.additional_info_last_name, header.additional_info_first_name, header.additional_info_middle_name]
+        .filter(Boolean).join(', ');
+      const nameLine = `Name: ${name}    A-Number: ${header.additional_info_alien_number || 'N/A'}`;
+      page.drawText(nameLine, {
+        x: margin, y: yPosition, size: fontSize, font: this.pickFont(nameLine, fonts)
+      });
+      yPosition -= lineHeight * 2;
+    };
+
+    newPage();
+
+    for (const entry of entries) {
+      // USCIS expects English, but a Chinese answer should still print rather than abort the fill
+      const font = this.pickFont(entry.text, fonts);
+      const lines = this.wrapText(entry.text, font, fontSize, maxWidth);
+      if (yPosition - lineHeight * (lines.length + 1) < margin) {
+        newPage();
+      }
+
+      page.drawText(`Page Number: ${entry.page}    Part Number: ${entry.part}    Item Number: ${entry.item}`, {
+        x: margin, y: yPosition, size: fontSize, font: boldFont
+      });
+      yPosition -= lineHeight;
+
+      for (const line of lines) {
+        if (yPosition < margin) {
+          newPage();
+        }
+        page.drawText(line, { x: margin, y: yPosition, size: fontSize, font: font });
+        yPosition -= lineHeight;
+      }
+      yPosition -= lineHeight / 2;
+    }
+  }
+
+  /**
+   * Add a filing package cover sheet page
+   * Each section is printed in English followed by Chinese
+   * @param {PDFDocument} pdfDoc - Document to add the page to
+   * @param {object} coverSheet - { title: {en, zh}, sections: [{ heading: {en, zh}, lines: {en: [], zh: []} }] }
+   * @param {number} [index] - Page index to insert at (default: append)
+   * @returns {Promise<void>}
+   */
+  async addCoverSheet(pdfDoc, coverSheet, index) {
+    const fonts = await this.embedFonts(pdfDoc);
+    const margin = 50;
+    const fontSize = 10;
+    const lineHeight = 14;
+    const maxWidth = 612 - margin * 2;
+    let pageIndex = index === undefined ? pdfDoc.getPageCount() : index;
+
+    let page = null;
+    let yPosition = 0;
+
+    const newPage = () => {
+      page = pdfDoc.insertPage(pageIndex++, [612, 792]);
+      yPosition = page.getSize().height - margin;
+    };
+
+    const drawLine = (text, bold, size) => {
+      const drawFont = this.pickFont(text, fonts, bold);
+      for (const line of this.wrapText(text, drawFont, size, maxWidth)) {
+        if (yPosition < margin) newPage();
+        page.drawText(line, { x: margin, y: yPosition, size, font: drawFont });
+        yPosition -= lineHeight;
+      }
+    };
+
+    newPage();
+    drawLine(coverSheet.title.en, true, 14);
+    drawLine(coverSheet.title.zh, true, 14);
+    yPosition -= lineHeight;
+
+    for (const section of coverSheet.sections) {
+      for (const language of ['en', 'zh']) {
+        drawLine(section.heading[language], true, fontSize + 1);
+        for (const line of section.lines[language]) {
+          drawLine(line, false, fontSize);
+        }
+        yPosition -= lineHeight / 2;
+      }
+      yPosition -= lineHeight / 2;
+    }
+  }
+
+  /**
+   * Create a standalone filing package cover sheet
+   * @param {object} coverSheet - Cover sheet content, see addCoverSheet()
+   * @returns {Promise<Blob>} PDF Blob
+   */
+  async createCoverSheet(coverSheet) {
+    if (!this.pdfLib) {
+      throw new Error('PDF library not available');
+    }
+
+    const pdfDoc = await this.pdfLib.PDFDocument.create();
+    await this.addCoverSheet(pdfDoc, coverSheet);
+    const pdfBytes = await pdfDoc.save();
+    return new Blob([pdfBytes], { type: 'application/pdf' });
+  }
+
+  /**
+   * Wrap text into lines that fit within a width
+   * @private
+   * @param {string} text - Text to wrap
+   * @param {PDFFont} font - Font used to measure text
+   * @param {number} fontSize - Font size
+   * @param {number} maxWidth - Maximum line width in points
+   * @returns {string[]} Wrapped lines
+   */
+  wrapText(text, font, fontSize, maxWidth) {
+    const lines = [];
+    let current = '';
+
+    for (const word of String(text).split(/\s+/)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, fontSize) <= maxWidth) {
+        current = candidate;
+        continue;
+      }
+      if (current) lines.push(current);
+      current = '';
+
+      // Chinese text has no spaces, so a word wider than a line is broken between characters
+      for (const char of word) {
+        if (current && font.widthOfTextAtSize(current + char, fontSize) > maxWidth) {
+          lines.push(current);
+          current = '';
+        }
+        current += char;
+      }
+    }
+    if (current) lines.push(current);
+
+    return lines;
+  }
+
   /**
    * Generate PDF from form data
    * @param {object} formData - Form data
@@ -351,18 +1017,36 @@ class PDFProcessor {
    * @returns {Promise<Blob>} PDF Blob
    */
   async generatePDF(formData, options = {}) {
-    const pdfBytes = await this.fillForm(formData, options);
-    return new Blob([pdfBytes], { type: 'application/pdf' });
+    const { pdf } = await this.generatePDFWithReport(formData, options);
+    return pdf;
+  }
+
+  /**
+   * Generate PDF from form data with its fill report
+   * The report lists filled, skipped, failed, truncated and fuzzy-matched
+   * fields; show report.render() before offering the download.
+   * @param {object} formData - Form data
+   * @param {object} options - Options
+   * @returns {Promise<object>} { pdf: Blob, report: FillReport }
+   */
+  async generatePDFWithReport(formData, options = {}) {
+    const { pdfBytes, report } = await this.fillFormWithReport(formData, options);
+    return {
+      pdf: new Blob([pdfBytes], { type: 'application/pdf' }),
+      report
+    };
   }
 
   /**
    * Download PDF
-   * @param {Blob|Uint8Array} pdfData - PDF data
+   * @param {Blob|Uint8Array|object} pdfData - PDF data, or the result of generatePDFWithReport
    * @param {string} filename - Filename
    */
   downloadPDF(pdfData, filename = 'i765-form.pdf') {
     let blob;
-    if (pdfData instanceof Blob) {
+    if (pdfData && pdfData.pdf instanceof Blob) {
+      blob = pdfData.pdf;
+    } else if (pdfData instanceof Blob) {
       blob = pdfData;
     } else if (pdfData instanceof Uint8Array) {
       blob = new Blob([pdfData], { type: 'application/pdf' });
@@ -383,65 +1067,127 @@ class PDFProcessor {
   /**
    * Generate two versions of PDF (editable and flattened)
    * @param {object} formData - Form data
-   * @returns {Promise<object>} Object with editable and flattened PDFs
+   * @returns {Promise<object>} Object with editable and flattened PDF Blobs and the fill report
    */
   async generateBothVersions(formData) {
-    const editable = await this.generatePDF(formData, { flatten: false, editable: true });
-    const flattened = await this.generatePDF(formData, { flatten: true, editable: false });
+    const editable = await this.generatePDFWithReport(formData, { flatten: false, editable: true });
+    const flattened = await this.generatePDFWithReport(formData, { flatten: true, editable: false });
 
     return {
-      editable,
-      flattened
+      editable: editable.pdf,
+      flattened: flattened.pdf,
+      report: editable.report
     };
   }
 
   /**
-   * Create PDF from scratch (fallback if template not available)
-   * @param {object} formData - Form data
+   * Create the bilingual client review copy (also the fallback if no template is available)
+   * Lists every answered item as "Item — English label — 中文标签 — value",
+   * grouped by Part in config order, with the config's instruction notes
+   * under each item, and ends with a confirmation for the client to sign.
+   * It is not a USCIS form and is never filed.
+   * @param {object} formData - Form data from FieldMapper
+   * @param {object} [options] - Options
+   * @param {string} [options.formName] - Form name for the title (default "I-765")
+   * @param {string} [options.applicantName] - Applicant name for the title and page headers
    * @returns {Promise<Blob>} PDF Blob
    */
-  async createPDFFromScratch(formData) {
+  async createPDFFromScratch(formData, options = {}) {
     if (!this.pdfLib) {
       throw new Error('PDF library not available');
     }
 
+    const { formName = 'I-765', applicantName = '' } = options;
+    const { rgb } = this.pdfLib;
+
     try {
       const pdfDoc = await this.pdfLib.PDFDocument.create();
-      const page = pdfDoc.addPage([612, 792]); // US Letter size
+      const fonts = await this.embedFonts(pdfDoc);
+      const pageSize = [612, 792]; // US Letter size
+      const margin = 50;
+      const footerHeight = 20;
+      const maxWidth = pageSize[0] - margin * 2;
+      const gray = rgb(0.35, 0.35, 0.35);
 
-      // Add form title
-      const { width, height } = page.getSize();
-      const fontSize = 16;
-      
-      page.drawText('Form I-765 - Application for Employment Authorization', {
-        x: 50,
-        y: height - 50,
-        size: fontSize,
-      });
+      let page = null;
+      let yPosition = 0;
 
-      // Add form data
-      let yPosition = height - 100;
-      const lineHeight = 20;
+      const newPage = () => {
+        page = pdfDoc.addPage(pageSize);
+        yPosition = pageSize[1] - margin;
 
-      for (const [fieldId, fieldData] of Object.entries(formData)) {
-        if (yPosition < 50) {
-          // Add new page if needed
-          const newPage = pdfDoc.addPage([612, 792]);
-          yPosition = newPage.getSize().height - 50;
+        // Repeat the form and client on every page after the first
+        if (pdfDoc.getPageCount() > 1) {
+          drawText(`${formName} Client Review Copy / 申请人核对稿${applicantName ? ` — ${applicantName}` : ''}`, {
+            size: 8, color: gray
+          });
+          yPosition -= 6;
         }
+      };
 
-        const label = fieldData.field?.field_label_en || fieldId;
-        const value = String(fieldData.value || '');
+      // Wrapped text
+      const drawText = (text, { size = 10, bold = false, color, indent = 0 } = {}) => {
+        const font = this.pickFont(text, fonts, bold);
+        const lineHeight = size * 1.4;
+        for (const line of this.wrapText(text, font, size, maxWidth - indent)) {
+          if (yPosition - lineHeight < margin + footerHeight) newPage();
+          page.drawText(line, { x: margin + indent, y: yPosition - size, size, font, color });
+          yPosition -= lineHeight;
+        }
+      };
 
-        page.drawText(`${label}: ${value}`, {
-          x: 50,
-          y: yPosition,
-          size: 12,
-        });
+      // Start a block on a new page if fewer than `height` points are left
+      const keepTogether = height => {
+        if (yPosition - height < margin + footerHeight) newPage();
+      };
 
-        yPosition -= lineHeight;
+      newPage();
+      drawText(`Form ${formName} — Client Review Copy`, { size: 16, bold: true });
+      drawText(`${formName} 表格 — 申请人核对稿`, { size: 14, bold: true });
+      if (applicantName) {
+        drawText(`Applicant / 申请人: ${applicantName}`);
+      }
+      drawText(`Prepared / 生成日期: ${new Date().toLocaleDateString('en-US')}`);
+      drawText('For the client to check the answers before filing. Do not file this copy with USCIS.', { size: 9, color: gray });
+      drawText('供申请人在递交前核对答案，本核对稿不递交移民局。', { size: 9, color: gray });
+      yPosition -= 10;
+
+      for (const section of this.getReviewSections(formData)) {
+        keepTogether(60);
+        yPosition -= 6;
+        drawText(section.zh ? `${section.en} / ${section.zh}` : section.en, { size: 11, bold: true });
+        yPosition -= 2;
+
+        for (const item of section.items) {
+          keepTogether(30);
+          const value = item.value.en === item.value.zh ? item.value.en : `${item.value.en} / ${item.value.zh}`;
+          const itemNumber = item.itemNumber ? `${item.itemNumber} — ` : '';
+          drawText(`${itemNumber}${item.label.en} — ${item.label.zh} — ${value}`);
+          if (item.notes) {
+            drawText(`注：${item.notes}`, { size: 8, color: gray, indent: 12 });
+          }
+          yPosition -= 3;
+        }
       }
 
+      // Client confirmation
+      keepTogether(110);
+      yPosition -= 16;
+      drawText('I have reviewed the answers above and confirm that they are complete, true and correct.', { bold: true });
+      drawText('本人已核对以上全部答案，确认完整、真实、正确。', { bold: true });
+      yPosition -= 28;
+      drawText('Client signature / 申请人签名: ______________________________     Date / 日期: ______________');
+
+      // Page numbers
+      const pages = pdfDoc.getPages();
+      pages.forEach((numberedPage, index) => {
+        const text = `Page ${index + 1} of ${pages.length} / 第 ${index + 1} 页，共 ${pages.length} 页`;
+        numberedPage.drawText(text, {
+          x: margin, y: margin - 10, size: 8, font: this.pickFont(text, fonts), color: gray
+        });
+      });
+
+      console.log(`[PDFProcessor] Created ${formName} review copy (${pages.length} pages)`);
       const pdfBytes = await pdfDoc.save();
       return new Blob([pdfBytes], { type: 'application/pdf' });
     } catch (error) {
@@ -450,6 +1196,76 @@ class PDFProcessor {
     }
   }
 
+  /**
+   * Group answered fields by Part for the review copy
+   * Hidden fields, unanswered fields and Part 6 slots are left out; values
+   * continued in Part 6 are shown in full.
+   * @private
+   * @param {object} formData - Form data from FieldMapper
+   * @returns {object[]} Sections { en, zh, items: [{ itemNumber, label: {en, zh}, value: {en, zh}, notes }] }
+   */
+  getReviewSections(formData) {
+    const sections = new Map();
+
+    for (const [fieldId, fieldData] of Object.entries(formData)) {
+      if (!fieldData || !fieldData.field || fieldData.hidden) continue;
+      const value = this.getReviewValue(fieldData);
+      if (!value) continue;
+
+      const partTitle = fieldData.part || '';
+      if (!sections.has(partTitle)) {
+        const partNumber = partTitle.match(/^Part\s+(\d+)/);
+        sections.set(partTitle, {
+          en: partTitle || 'Other Answers',
+          zh: partNumber ? `第${partNumber[1]}部分` : (partTitle ? '' : '其他答案'),
+          items: []
+        });
+      }
+
+      const field = fieldData.field;
+      sections.get(partTitle).items.push({
+        itemNumber: field.item_number || '',
+        label: {
+          en: field.field_label_en || fieldId,
+          zh: field.field_label_zh || field.field_label_en || fieldId
+        },
+        value: value,
+        notes: field.instruction_notes || ''
+      });
+    }
+
+    return Array.from(sections.values());
+  }
+
+  /**
+   * Get the value shown for a field on the review copy
+   * @private
+   * @param {object} fieldData - Form data entry
+   * @returns {object|null} { en, zh }, or null if the field is unanswered
+   */
+  getReviewValue(fieldData) {
+    const field = fieldData.field;
+
+    if (field.type === 'Continuation' || !fieldData.part) return null;
+    if (field.type === 'Signature') {
+      return fieldData.image ? { en: 'Signed', zh: '已签名' } : null;
+    }
+    if (field.type === 'Checkbox') {
+      return fieldData.value ? { en: 'Yes', zh: '是' } : null;
+    }
+
+    const text = fieldData.overflow ? fieldData.originalValue : fieldData.value;
+    if (text === undefined || text === null || String(text).trim() === '') return null;
+
+    const option = (field.options || []).find(opt => String(opt.value) === String(text));
+    if (option) {
+      const en = option.label_en || String(option.value);
+      return { en, zh: option.label_zh || en };
+    }
+
+    return { en: String(text), zh: String(text) };
+  }
+
   /**
    * Validate PDF template
    * @returns {Promise<boolean>} True if template is valid
@@ -486,6 +1302,280 @@ class PDFProcessor {
       return [];
     }
   }
+
+  /**
+   * Extract every field widget of the loaded template
+   * Lists the fully-qualified AcroForm name, type, page and rectangle of each
+   * widget (a radio group or repeated checkbox has one entry per widget) so a
+   * field config can be written against the real names. Load a decrypted
+   * copy of the form first; loadTemplate rejects the encrypted originals.
+   * @returns {object[]} Widgets { name, type, page, rect: {x, y, width, height}, tooltip, maxLength, options, exportValue }
+   */
+  extractFields() {
+    if (!this.templatePDF) {
+      throw new Error('PDF template not loaded');
+    }
+
+    const { PDFName, PDFString, PDFHexString, PDFTextField, PDFRadioGroup, PDFDropdown, PDFOptionList } = this.pdfLib;
+    const pages = this.templatePDF.getPages();
+
+    const getPageNumber = widget => {
+      const page = this.findWidgetPage(this.templatePDF, widget);
+      return page ? pages.indexOf(page) + 1 : null;
+    };
+
+    const entries = [];
+    for (const field of this.templatePDF.getForm().getFields()) {
+      const type = this.getFieldType(field);
+      const tooltip = field.acroField.dict.lookupMaybe(PDFName.of('TU'), PDFString, PDFHexString);
+      const maxLength = field instanceof PDFTextField ? field.getMaxLength() : undefined;
+      const options = field instanceof PDFRadioGroup || field instanceof PDFDropdown || field instanceof PDFOptionList
+        ? field.getOptions()
+        : undefined;
+
+      field.acroField.getWidgets().forEach((widget, widgetIndex) => {
+        const rect = widget.getRectangle();
+        const onValue = type === 'CheckBox' ? widget.getOnValue() : undefined;
+
+        entries.push({
+          name: field.getName(),
+          type: type,
+          page: getPageNumber(widget),
+          rect: {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          },
+          tooltip: tooltip ? tooltip.decodeText() : '',
+          maxLength: maxLength || null,
+          options: options || null,
+          // Radio groups with an /Opt array export by index; getOptions() gives the real values
+          exportValue: type === 'RadioGroup' ? options[widgetIndex] : (onValue ? onValue.decodeText() : null)
+        });
+      });
+    }
+
+    console.log(`[PDFProcessor] Extracted ${entries.length} widgets from template`);
+    return entries;
+  }
+
+  /**
+   * Read the answers out of an already-filled form
+   * Accepts last year's filing or a PDF filled by hand in Acrobat, and returns
+   * the formData shape FieldMapper.mapFormToProfile consumes. Blank text
+   * boxes and radio items with nothing selected are left out so they never
+   * clear answers in the profile; signatures and signature dates belong to
+   * the old filing and are not read. Check the result with
+   * FieldMapper.diffFormData before applying it.
+   * @param {string|ArrayBuffer|Uint8Array} pdfSource - Filled PDF path or bytes
+   * @param {object} config - Field configuration of the form
+   * @returns {Promise<object>} Form data { fieldId: { value, pdfFieldName, field, imported: true } }
+   * @throws {Error} If the PDF is encrypted (see loadDocument)
+   */
+  async readFormData(pdfSource, config) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.pdfLib) {
+      throw new Error('PDF library not initialized');
+    }
+
+    let bytes = pdfSource;
+    if (typeof pdfSource === 'string') {
+      const response = await fetch(pdfSource);
+      bytes = await response.arrayBuffer();
+    } else if (!(pdfSource instanceof ArrayBuffer) && !(pdfSource instanceof Uint8Array)) {
+      throw new Error('Invalid PDF source');
+    }
+
+    const pdfDoc = await this.loadDocument(bytes);
+    const form = pdfDoc.getForm();
+    const fieldIndex = this.buildFieldNameIndex(form);
+    const formData = {};
+    const unreadable = [];
+
+    const read = (pdfFieldName, fieldConfig) => {
+      const { field } = this.findField(form, pdfFieldName, fieldIndex);
+      if (!field) {
+        unreadable.push(pdfFieldName);
+        return null;
+      }
+      try {
+        return this.getFieldValue(field, fieldConfig);
+      } catch (error) {
+        // e.g. rich text fields pdf-lib refuses to read
+        unreadable.push(pdfFieldName);
+        return null;
+      }
+    };
+
+    for (const part of config.parts || []) {
+      for (const field of part.fields || []) {
+        if (!field.field_id || !field.data_path) continue;
+        if (field.type === 'Signature' || /\.signatureDate$/.test(field.data_path)) continue;
+
+        let value;
+        if (field.segments) {
+          // Item 27: "c", "8", "" -> "(c)(8)"
+          const format = field.segments.format || '%s';
+          value = field.segments.pdf_field_names
+            .map(pdfFieldName => (read(pdfFieldName, field) || '').trim())
+            .filter(Boolean)
+            .map(piece => format.replace('%s', piece))
+            .join('');
+        } else if (field.options && field.options.some(option => option.pdf_field_name)) {
+          // One checkbox per option: the checked one gives the answer
+          const checked = field.options.find(option => option.pdf_field_name && read(option.pdf_field_name, field) === 'X');
+          value = checked ? String(checked.value) : '';
+        } else if (field.pdf_field_name) {
+          value = read(field.pdf_field_name, field);
+        } else {
+          continue;
+        }
+
+        // Unreadable fields, and blanks that would only clear the profile
+        if (value === null || (value === '' && field.type !== 'Checkbox')) continue;
+
+        formData[field.field_id] = {
+          value: value,
+          pdfFieldName: field.pdf_field_name,
+          field: field,
+          imported: true
+        };
+      }
+    }
+
+    if (unreadable.length > 0) {
+      console.warn(`[PDFProcessor] ${unreadable.length} fields could not be read:`, unreadable);
+    }
+    console.log(`[PDFProcessor] Read ${Object.keys(formData).length} answers from filled ${config.formName || 'form'}`);
+    return formData;
+  }
+
+  /**
+   * Read a field's value in the form FieldMapper produces
+   * Checked boxes read as "X", selected export values map back to the
+   * config option they came from.
+   * @private
+   * @param {PDFField} field - Field
+   * @param {object} fieldConfig - Field configuration
+   * @returns {string} Value, or '' if empty
+   */
+  getFieldValue(field, fieldConfig) {
+    const { PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList } = this.pdfLib;
+
+    const toConfigValue = exportValue => {
+      const options = (fieldConfig && fieldConfig.options) || [];
+      const option = options.find(candidate => candidate.export_value !== undefined &&
+        String(candidate.export_value).trim().toLowerCase() === String(exportValue).trim().toLowerCase());
+      return option ? String(option.value) : String(exportValue).trim();
+    };
+
+    if (field instanceof PDFTextField) {
+      return field.getText() || '';
+    }
+    if (field instanceof PDFCheckBox) {
+      return field.isChecked() ? 'X' : '';
+    }
+    if (field instanceof PDFRadioGroup) {
+      const selected = field.getSelected();
+      return selected ? toConfigValue(selected) : '';
+    }
+    if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      return field.getSelected().map(toConfigValue).join(', ');
+    }
+
+    return '';
+  }
+
+  /**
+   * Build a field config skeleton from the loaded template
+   * One part per page, fields in reading order (top to bottom, left to right),
+   * with pdf_field_name, type, max_length and options filled in and the
+   * tooltip as field_label_en. Item numbers, ids, Chinese labels and
+   * data_path are left blank for the maintainer to complete.
+   * @param {string} formName - Form name (e.g. "I-765")
+   * @returns {object} Field configuration in the i765-config.json layout
+   */
+  createConfigSeed(formName) {
+    const configTypes = {
+      Text: 'Text Input',
+      CheckBox: 'Checkbox',
+      RadioGroup: 'Radio',
+      Dropdown: 'Text Input',
+      OptionList: 'Text Input',
+      Signature: 'Signature'
+    };
+
+    const widgets = this.extractFields()
+      .filter(widget => configTypes[widget.type])
+      .sort((a, b) => (a.page - b.page) || (b.rect.y - a.rect.y) || (a.rect.x - b.rect.x));
+
+    const parts = new Map();
+    const fields = new Map();
+    for (const widget of widgets) {
+      const page = widget.page || 0;
+      if (!parts.has(page)) {
+        parts.set(page, { part: `Page ${page}`, page: page, fields: [] });
+      }
+
+      // Radio groups become one field with an option per widget
+      if (widget.type === 'RadioGroup' && fields.has(widget.name)) {
+        fields.get(widget.name).options.push({ value: widget.exportValue, label_en: widget.exportValue, label_zh: '' });
+        continue;
+      }
+
+      const field = {
+        item_number: '',
+        field_id: '',
+        field_label_zh: '',
+        field_label_en: widget.tooltip,
+        type: configTypes[widget.type],
+        required: false,
+        max_length: widget.maxLength,
+        instruction_notes: '',
+        pdf_field_name: widget.name,
+        data_path: ''
+      };
+      if (widget.type === 'RadioGroup') {
+        field.options = [{ value: widget.exportValue, label_en: widget.exportValue, label_zh: '' }];
+      } else if (widget.options && widget.type !== 'RadioGroup') {
+        field.options = widget.options.map(option => ({ value: option, label_en: option, label_zh: '' }));
+      }
+
+      fields.set(widget.name, field);
+      parts.get(page).fields.push(field);
+    }
+
+    return {
+      formName: formName,
+      formTitle: '',
+      version: '',
+      parts: Array.from(parts.values())
+    };
+  }
+
+  /**
+   * Get the pdf-lib type of a form field
+   * @private
+   * @param {PDFField} field - Form field
+   * @returns {string} "Text", "CheckBox", "RadioGroup", "Dropdown", "OptionList", "Button", "Signature" or "Unknown"
+   */
+  getFieldType(field) {
+    const types = {
+      Text: this.pdfLib.PDFTextField,
+      CheckBox: this.pdfLib.PDFCheckBox,
+      RadioGroup: this.pdfLib.PDFRadioGroup,
+      Dropdown: this.pdfLib.PDFDropdown,
+      OptionList: this.pdfLib.PDFOptionList,
+      Button: this.pdfLib.PDFButton,
+      Signature: this.pdfLib.PDFSignature
+    };
+
+    const match = Object.entries(types).find(([, Type]) => field instanceof Type);
+    return match ? match[0] : 'Unknown';
+  }
 }
 
 // Export for use in different module systems
@@ -0,0 +1,181 @@
+/**
+ * Profile Schema for I-765 Form Application
+ * Versions the saved ApplicantProfile data: upgrades older saves one step at
+ * a time through registered migrations, then deep-merges them into the
+ * current defaults and reports the keys that were dropped
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Migrations from one schema version to the next
+ * Each step receives a copy of the saved data (toJSON shape) at version
+ * `from` and changes it in place to version `to`. Saves without
+ * metadata.schemaVersion are version 1.
+ */
+const PROFILE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Rename misspelled keys (isRefugeeAoffer, deferredActionForChildroodsArrivals, hasConverterion)',
+    migrate(data) {
+      renameKey(data, 'immigrationDetails.refugeeAsyleeStatus', 'isRefugeeAoffer', 'isRefugeeAdmitted');
+      renameKey(data, 'eligibilityInfo.basisForEligibility', 'deferredActionForChildroodsArrivals', 'deferredActionForChildhoodArrivals');
+      renameKey(data, 'eligibilityInfo.criminalBackground', 'hasConverterion', 'hasConviction');
+    }
+  }
+];
+
+/**
+ * Current schema version: the last migration's target
+ */
+const PROFILE_SCHEMA_VERSION = PROFILE_MIGRATIONS.reduce((version, migration) => Math.max(version, migration.to), 1);
+
+/**
+ * Rename a key of a nested object, if present
+ * A value already under the new name wins.
+ * @param {object} data - Profile data
+ * @param {string} path - Dot path of the object holding the key
+ * @param {string} from - Old key
+ * @param {string} to - New key
+ */
+function renameKey(data, path, from, to) {
+  const target = path.split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), data);
+  if (!target || typeof target !== 'object' || !(from in target)) return;
+
+  if (!(to in target)) {
+    target[to] = target[from];
+  }
+  delete target[from];
+}
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Profile Schema Class
+ */
+class ProfileSchema {
+  /**
+   * @param {object[]} [migrations] - Migrations (default: PROFILE_MIGRATIONS)
+   */
+  constructor(migrations = PROFILE_MIGRATIONS) {
+    this.migrations = [];
+    this.version = 1;
+    migrations.forEach(migration => this.register(migration));
+  }
+
+  /**
+   * Add a migration
+   * Steps must be consecutive: the new step starts at the current version.
+   * @param {object} migration - { from, to, description, migrate(data) }
+   */
+  register(migration) {
+    if (migration.from !== this.version || migration.to !== migration.from + 1) {
+      throw new Error(`Migration must go from version ${this.version} to ${this.version + 1}`);
+    }
+    this.migrations.push(migration);
+    this.version = migration.to;
+  }
+
+  /**
+   * Get the schema version of saved data
+   * @param {object} data - Profile data
+   * @returns {number} Version (1 for saves that predate versioning)
+   */
+  getVersion(data) {
+    return (data && data.metadata && data.metadata.schemaVersion) || 1;
+  }
+
+  /**
+   * Upgrade saved data to the current version
+   * The input is not changed.
+   * @param {object} data - Profile data
+   * @returns {object} { data, fromVersion, toVersion, applied } - applied lists the migration descriptions
+   * @throws {Error} If the data was saved by a newer version
+   */
+  migrate(data) {
+    const fromVersion = this.getVersion(data);
+    if (fromVersion > this.version) {
+      throw new Error(`Profile schema version ${fromVersion} is newer than this app supports (${this.version})`);
+    }
+
+    const migrated = JSON.parse(JSON.stringify(data || {}));
+    const applied = [];
+    for (const migration of this.migrations) {
+      if (migration.from < fromVersion) continue;
+      migration.migrate(migrated);
+      applied.push(migration.description);
+    }
+
+    migrated.metadata = { ...migrated.metadata, schemaVersion: this.version };
+    if (applied.length > 0) {
+      console.log(`[ProfileSchema] Migrated profile from version ${fromVersion} to ${this.version}`);
+    }
+    return { data: migrated, fromVersion, toVersion: this.version, applied };
+  }
+
+  /**
+   * Deep-merge saved values into defaults
+   * Nested objects are merged key by key, so a save missing a nested key
+   * keeps its default. Arrays are taken as saved. Keys the defaults do not
+   * have, and values whose shape does not match, are dropped and listed.
+   * @param {object} defaults - Default values (not changed)
+   * @param {object} saved - Saved values
+   * @param {string} [path] - Dot path of this object, for the report
+   * @param {string[]} [discarded] - Receives the dropped paths
+   * @returns {object} Merged copy
+   */
+  merge(defaults, saved, path = '', discarded = []) {
+    const merged = JSON.parse(JSON.stringify(defaults));
+    for (const [key, value] of Object.entries(saved || {})) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in merged)) {
+        discarded.push(keyPath);
+        continue;
+      }
+
+      const current = merged[key];
+      if (isPlainObject(current)) {
+        if (isPlainObject(value)) {
+          merged[key] = this.merge(current, value, keyPath, discarded);
+        } else if (value !== null && value !== undefined) {
+          discarded.push(keyPath);
+        }
+      } else if (Array.isArray(current) && !Array.isArray(value)) {
+        discarded.push(keyPath);
+      } else {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const profileSchema = new ProfileSchema();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ProfileSchema,
+    profileSchema,
+    PROFILE_MIGRATIONS,
+    PROFILE_SCHEMA_VERSION
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ProfileSchema = ProfileSchema;
+  window.profileSchema = profileSchema;
+  window.PROFILE_MIGRATIONS = PROFILE_MIGRATIONS;
+  window.PROFILE_SCHEMA_VERSION = PROFILE_SCHEMA_VERSION;
+}
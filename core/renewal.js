@@ -0,0 +1,269 @@
+/**
+ * Renewal Wizard for I-765 Form Application
+ * Starts a renewal (Part 1 item 1.c) from a client's prior application: copies
+ * the stored profile, records the card being renewed as the prior EAD, clears
+ * what belongs to the old filing and lists the answers to confirm again
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * USCIS accepts a renewal up to 180 days before the current EAD expires
+ */
+const RENEWAL_FILING_WINDOW_DAYS = 180;
+
+/**
+ * Answers that often change between filings and must be confirmed again
+ * `paths` are profile data paths; a field is flagged when its data_path is
+ * one of them or lies below one of them.
+ */
+const RENEWAL_RECONFIRM_FIELDS = [
+  {
+    key: 'mailingAddress',
+    paths: ['personalInfo.contact.mailingAddress', 'personalInfo.contact.mailingSameAsPhysical'],
+    label_en: 'U.S. mailing address',
+    label_zh: '美国通信地址'
+  },
+  {
+    key: 'physicalAddress',
+    paths: ['personalInfo.contact.address'],
+    label_en: 'U.S. physical address',
+    label_zh: '美国居住地址'
+  },
+  {
+    key: 'contact',
+    paths: ['personalInfo.contact.phoneNumber', 'personalInfo.contact.mobileNumber', 'personalInfo.contact.email'],
+    label_en: 'Phone number and email',
+    label_zh: '电话和电子邮箱'
+  },
+  {
+    key: 'status',
+    paths: ['immigrationDetails.currentStatus', 'immigrationDetails.statusValidFrom', 'immigrationDetails.statusValidTo',
+      'immigrationDetails.i94Number', 'immigrationDetails.i94ExpirationDate'],
+    label_en: 'Current immigration status and Form I-94',
+    label_zh: '目前移民身份及I-94'
+  },
+  {
+    key: 'passport',
+    paths: ['personalInfo.passport', 'personalInfo.travelDocument'],
+    label_en: 'Passport or travel document',
+    label_zh: '护照或旅行证件'
+  },
+  {
+    key: 'lastArrival',
+    paths: ['immigrationDetails.entryDate', 'immigrationDetails.portOfEntry', 'immigrationDetails.immigrationStatusAtArrival'],
+    label_en: 'Last arrival in the United States',
+    label_zh: '最近一次入境美国'
+  },
+  {
+    key: 'maritalStatus',
+    paths: ['personalInfo.maritalStatus'],
+    label_en: 'Marital status',
+    label_zh: '婚姻状况'
+  },
+  {
+    key: 'arrests',
+    paths: ['eligibilityInfo.c8.hasBeenArrested', 'eligibilityInfo.c35c36.hasBeenArrested'],
+    label_en: 'Arrests or convictions since the last filing',
+    label_zh: '上次申请后的逮捕或定罪记录'
+  }
+];
+
+/**
+ * Renewal Wizard Class
+ */
+class RenewalWizard {
+  constructor(reconfirmFields = RENEWAL_RECONFIRM_FIELDS) {
+    this.reconfirmFields = reconfirmFields;
+  }
+
+  /**
+   * Start a renewal from a prior application
+   * The prior profile is not changed. The new profile gets a new application
+   * id, applicationPurpose "renewal" and the renewed card in priorEAD;
+   * signatures, dates, notes, payment and supporting documents of the old
+   * filing are cleared.
+   * @param {ApplicantProfile|object} priorProfile - Prior profile or its toJSON() data
+   * @param {object} card - EAD being renewed: the card the prior filing produced,
+   *   not the prior profile's priorEAD (the card that filing renewed)
+   * @param {string} card.number - Card number (e.g. "IOE0912345678")
+   * @param {string} card.expirationDate - Expiration date (YYYY-MM-DD)
+   * @returns {object} { profile, reconfirm, filingWindow }
+   * @throws {Error} If the card number or a valid expiration date is missing
+   */
+  renewFrom(priorProfile, card = {}) {
+    const number = String(card.number || '').trim();
+    if (!number) {
+      throw new Error('The number of the EAD being renewed is required');
+    }
+    if (!this.parseDate(card.expirationDate)) {
+      throw new Error('The expiration date (YYYY-MM-DD) of the EAD being renewed is required');
+    }
+
+    const Profile = typeof ApplicantProfile !== 'undefined' ? ApplicantProfile : require('./data-models');
+    const data = JSON.parse(JSON.stringify(priorProfile.toJSON ? priorProfile.toJSON() : priorProfile));
+    const fresh = new Profile();
+
+    // Per-filing data starts over; the schema version stays so older saves are still migrated
+    data.metadata = { schemaVersion: data.metadata && data.metadata.schemaVersion };
+    delete data.paymentInfo;
+    delete data.supportingDocuments;
+
+    const profile = new Profile();
+    profile.fromJSON(data);
+    profile.metadata.usedInterpreter = Boolean(priorProfile.metadata && priorProfile.metadata.usedInterpreter);
+    profile.metadata.usedPreparer = Boolean(priorProfile.metadata && priorProfile.metadata.usedPreparer);
+    profile.metadata.hasRepresentative = Boolean(priorProfile.metadata && priorProfile.metadata.hasRepresentative);
+    profile.metadata.canReadEnglish = Boolean(priorProfile.metadata && priorProfile.metadata.canReadEnglish);
+
+    for (const signer of ['applicant', 'interpreter', 'preparer', 'representative', 'petitioner', 'sponsor']) {
+      profile.setSignature(signer, '');
+    }
+    profile.employmentInfo.employerDetails.signatory.signature = '';
+    profile.employmentInfo.employerDetails.signatory.signatureDate = '';
+    profile.representative.appearance = { ...fresh.representative.appearance };
+
+    profile.immigrationDetails.priorEAD = {
+      hasObtainedBefore: true,
+      previousEADNumber: number,
+      previousExpirationDate: card.expirationDate
+    };
+    profile.eligibilityInfo.applicationPurpose = 'renewal';
+    profile.eligibilityInfo.workAuthorization = {
+      ...profile.eligibilityInfo.workAuthorization,
+      neverBeenGrantedEAD: false
+    };
+
+    const priorId = priorProfile.metadata && priorProfile.metadata.applicationId;
+    if (priorId) {
+      profile.addNote(`Renewal of ${priorId}`);
+    }
+
+    console.log(`[RenewalWizard] Started renewal ${profile.metadata.applicationId}${priorId ? ` from ${priorId}` : ''}`);
+    return {
+      profile,
+      reconfirm: this.reconfirmFields.map(group => ({
+        key: group.key,
+        paths: group.paths,
+        label: { en: group.label_en, zh: group.label_zh }
+      })),
+      filingWindow: this.getFilingWindow(profile.immigrationDetails.priorEAD.previousExpirationDate)
+    };
+  }
+
+  /**
+   * Check whether a field must be confirmed again on a renewal
+   * @param {string} dataPath - Field data_path (e.g. "personalInfo.contact.address.street")
+   * @returns {boolean} True if the field should be highlighted
+   */
+  needsReconfirmation(dataPath) {
+    return this.reconfirmFields.some(group =>
+      group.paths.some(path => dataPath === path || String(dataPath).startsWith(`${path}.`)));
+  }
+
+  /**
+   * Get the config fields to highlight on a renewal
+   * @param {object} config - Form field configuration
+   * @returns {string[]} Field ids
+   */
+  getReconfirmFieldIds(config) {
+    const fieldIds = [];
+    for (const part of (config && config.parts) || []) {
+      for (const field of part.fields || []) {
+        if (field.data_path && this.needsReconfirmation(field.data_path)) {
+          fieldIds.push(field.field_id);
+        }
+      }
+    }
+    return fieldIds;
+  }
+
+  /**
+   * Get the earliest date a renewal may be filed
+   * @param {string} expirationDate - Current EAD expiration date (YYYY-MM-DD)
+   * @returns {string|null} Earliest filing date (YYYY-MM-DD), or null if the date is invalid
+   */
+  getEarliestFilingDate(expirationDate) {
+    const expiration = this.parseDate(expirationDate);
+    if (!expiration) return null;
+
+    expiration.setUTCDate(expiration.getUTCDate() - RENEWAL_FILING_WINDOW_DAYS);
+    return expiration.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Describe the renewal filing window on a given day
+   * @param {string} expirationDate - Current EAD expiration date (YYYY-MM-DD)
+   * @param {Date|string} [today] - Day to check (default: today)
+   * @returns {object|null} { earliestFilingDate, expirationDate, canFileNow, daysUntilEarliest, expired, message: {en, zh} }
+   */
+  getFilingWindow(expirationDate, today = new Date()) {
+    const earliestFilingDate = this.getEarliestFilingDate(expirationDate);
+    if (!earliestFilingDate) return null;
+
+    const day = typeof today === 'string'
+      ? this.parseDate(today)
+      : new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    const daysUntilEarliest = Math.round((this.parseDate(earliestFilingDate) - day) / 86400000);
+    const expired = day > this.parseDate(expirationDate);
+    const canFileNow = daysUntilEarliest <= 0;
+
+    let message;
+    if (expired) {
+      message = {
+        en: `The EAD expired on ${expirationDate}; file the renewal as soon as possible`,
+        zh: `工卡已于 ${expirationDate} 过期，请尽快递交续期`
+      };
+    } else if (canFileNow) {
+      message = {
+        en: `The renewal can be filed now (window opened ${earliestFilingDate}; EAD expires ${expirationDate})`,
+        zh: `现在可以递交续期（${earliestFilingDate} 起可递交，工卡 ${expirationDate} 到期）`
+      };
+    } else {
+      message = {
+        en: `The renewal can be filed from ${earliestFilingDate}, in ${daysUntilEarliest} days`,
+        zh: `最早可于 ${earliestFilingDate} 递交续期，还有 ${daysUntilEarliest} 天`
+      };
+    }
+
+    return { earliestFilingDate, expirationDate, canFileNow, daysUntilEarliest, expired, message };
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as UTC midnight
+   * @private
+   * @param {string} value - Date string
+   * @returns {Date|null} Date or null
+   */
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // Reject days that roll over into the next month (e.g. 2027-02-30)
+    return isNaN(date.getTime()) || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])
+      ? null
+      : date;
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const renewalWizard = new RenewalWizard();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RenewalWizard,
+    renewalWizard,
+    RENEWAL_RECONFIRM_FIELDS,
+    RENEWAL_FILING_WINDOW_DAYS
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RenewalWizard = RenewalWizard;
+  window.renewalWizard = renewalWizard;
+  window.RENEWAL_RECONFIRM_FIELDS = RENEWAL_RECONFIRM_FIELDS;
+  window.RENEWAL_FILING_WINDOW_DAYS = RENEWAL_FILING_WINDOW_DAYS;
+}
@@ -0,0 +1,538 @@
+/**
+ * Review Workflow for I-765 Form Application
+ * Attorney review and sign-off on metadata.status: named users with roles,
+ * allowed status changes, review comments on form items, and locking of
+ * approved sections so later edits need a reason and a new review
+ * Roles are an audit label, not access control: the current user is a name
+ * anyone who can unlock the store may set (see ChangeHistory.setCurrentUser),
+ * and the office passphrase is shared, so it cannot tell users apart either.
+ * The role checks stop mistakes and record who acted.
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Case store setting holding the office user list
+ */
+const REVIEW_USERS_SETTING = 'users';
+
+const REVIEW_ROLES = {
+  PARALEGAL: 'PARALEGAL',
+  ATTORNEY: 'ATTORNEY'
+};
+
+/**
+ * Allowed status changes and who may make them
+ * Only an attorney signs a case off as ready to file.
+ */
+const REVIEW_TRANSITIONS = [
+  { from: 'DRAFT', to: 'PENDING_REVIEW', roles: ['PARALEGAL', 'ATTORNEY'] },
+  { from: 'PENDING_REVIEW', to: 'DRAFT', roles: ['PARALEGAL', 'ATTORNEY'] },
+  { from: 'PENDING_REVIEW', to: 'READY_TO_FILE', roles: ['ATTORNEY'] },
+  { from: 'READY_TO_FILE', to: 'PENDING_REVIEW', roles: ['PARALEGAL', 'ATTORNEY'] },
+  { from: 'READY_TO_FILE', to: 'SUBMITTED', roles: ['PARALEGAL', 'ATTORNEY'] },
+  { from: 'SUBMITTED', to: 'APPROVED', roles: ['PARALEGAL', 'ATTORNEY'] },
+  { from: 'SUBMITTED', to: 'DENIED', roles: ['PARALEGAL', 'ATTORNEY'] }
+];
+
+/**
+ * Get a value by dot path
+ * @param {object} object - Object
+ * @param {string} path - Dot path
+ * @returns {*} Value
+ */
+function getPathValue(object, path) {
+  return path.split('.').reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), object);
+}
+
+/**
+ * Review Workflow Class
+ */
+class ReviewWorkflow {
+  /**
+   * @param {object} [options] - Options
+   * @param {CaseStore} [options.store] - Case store holding the user list (default: caseStore)
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+  }
+
+  /**
+   * Get the office users
+   * The list is an encrypted case store setting, so it is empty while the
+   * store is locked.
+   * @returns {object[]} { name, role }
+   */
+  getUsers() {
+    const users = this.getStore().getSetting(REVIEW_USERS_SETTING);
+    return Array.isArray(users) ? users : [];
+  }
+
+  /**
+   * Add a user or change their role
+   * Only an attorney may manage users. The first user, added while the list
+   * is empty, must be an attorney.
+   * @param {string} name - User name (as used by ChangeHistory.setCurrentUser)
+   * @param {string} role - PARALEGAL or ATTORNEY
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User making the change (default: the current user)
+   * @returns {Promise<object[]>} Users
+   * @throws {Error} If the store is locked or the change is not allowed
+   */
+  async addUser(name, role, options = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('User name is required');
+    }
+    if (!Object.values(REVIEW_ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const current = this.getManagedUsers(options.user);
+    if (current.length === 0 && role !== REVIEW_ROLES.ATTORNEY) {
+      throw new Error('The first user must be an attorney');
+    }
+
+    const users = current.filter(user => user.name !== trimmed);
+    users.push({ name: trimmed, role });
+    await this.saveUsers(users);
+    return users;
+  }
+
+  /**
+   * Remove a user
+   * Only an attorney may manage users.
+   * @param {string} name - User name
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User making the change (default: the current user)
+   * @returns {Promise<object[]>} Users
+   * @throws {Error} If the store is locked or the change is not allowed
+   */
+  async removeUser(name, options = {}) {
+    const users = this.getManagedUsers(options.user).filter(user => user.name !== name);
+    await this.saveUsers(users);
+    return users;
+  }
+
+  /**
+   * Get a user's role
+   * @param {string} [name] - User name (default: the current user)
+   * @returns {string|null} Role or null if the user is not registered
+   */
+  getRole(name = this.getCurrentUser()) {
+    const user = this.getUsers().find(item => item.name === name);
+    return user ? user.role : null;
+  }
+
+  /**
+   * List the statuses a user may move a case to
+   * @param {ApplicantProfile} profile - Profile
+   * @param {string} [user] - User name (default: the current user)
+   * @returns {string[]} Statuses
+   */
+  getAllowedTransitions(profile, user = this.getCurrentUser()) {
+    const role = this.getRole(user);
+    return REVIEW_TRANSITIONS
+      .filter(rule => rule.from === profile.metadata.status && rule.roles.includes(role))
+      .map(rule => rule.to);
+  }
+
+  /**
+   * Change the status of a case
+   * Moving to READY_TO_FILE needs an attorney and no open comments, and signs
+   * off every section of the form.
+   * @param {ApplicantProfile} profile - Profile
+   * @param {string} status - New status
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name (default: the current user)
+   * @param {string} [options.comment] - Note for the status log
+   * @param {object} [options.config] - Form field configuration (required for READY_TO_FILE)
+   * @returns {object} Status log entry
+   * @throws {Error} If the change is not allowed
+   */
+  transition(profile, status, options = {}) {
+    const user = options.user || this.getCurrentUser();
+    const role = this.requireRole(user);
+    const from = profile.metadata.status;
+    const rule = REVIEW_TRANSITIONS.find(item => item.from === from && item.to === status);
+
+    if (!rule) {
+      throw new Error(`A case cannot move from ${from} to ${status}`);
+    }
+    if (!rule.roles.includes(role)) {
+      throw new Error(`Only ${rule.roles.map(item => item.toLowerCase()).join(' or ')} users can move a case from ${from} to ${status}`);
+    }
+
+    if (status === 'READY_TO_FILE') {
+      if (!options.config) {
+        throw new Error('The form configuration is needed to sign off a case');
+      }
+      const open = this.getComments(profile);
+      if (open.length > 0) {
+        throw new Error(`Resolve the ${open.length} open review comment(s) first`);
+      }
+      for (const part of options.config.parts || []) {
+        this.approveSection(profile, part.part, options.config, { user });
+      }
+    }
+
+    profile.metadata.status = status;
+    if (status === 'SUBMITTED') {
+      profile.metadata.submissionDate = new Date().toISOString().slice(0, 10);
+    }
+    return this.logStatus(profile, { from, to: status, user, role, comment: options.comment || '' });
+  }
+
+  /**
+   * Add a review comment on a form item
+   * @param {ApplicantProfile} profile - Profile
+   * @param {object} anchor - { part, itemNumber } as in the form configuration (e.g. "Part 2. ...", "8.")
+   * @param {string} text - Comment
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name (default: the current user)
+   * @param {object} [options.config] - Form field configuration; if given, the item must exist
+   * @returns {object} Comment { id, part, itemNumber, text, author, role, timestamp, resolved }
+   */
+  addComment(profile, anchor, text, options = {}) {
+    const user = options.user || this.getCurrentUser();
+    const role = this.requireRole(user);
+    if (!String(text || '').trim()) {
+      throw new Error('Comment text is required');
+    }
+    if (options.config && this.getSectionFields(options.config, anchor.part)
+      .every(field => field.item_number !== anchor.itemNumber)) {
+      throw new Error(`No item ${anchor.itemNumber} in ${anchor.part}`);
+    }
+
+    const comments = this.getReview(profile).comments;
+    const comment = {
+      id: comments.length > 0 ? comments[comments.length - 1].id + 1 : 1,
+      part: anchor.part,
+      itemNumber: anchor.itemNumber,
+      text: String(text).trim(),
+      author: user,
+      role,
+      timestamp: new Date().toISOString(),
+      resolved: false,
+      resolvedBy: '',
+      resolvedAt: ''
+    };
+    comments.push(comment);
+    return comment;
+  }
+
+  /**
+   * Mark a review comment as resolved
+   * @param {ApplicantProfile} profile - Profile
+   * @param {number} commentId - Comment id
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name (default: the current user)
+   * @returns {object} Comment
+   */
+  resolveComment(profile, commentId, options = {}) {
+    const user = options.user || this.getCurrentUser();
+    this.requireRole(user);
+    const comment = this.getReview(profile).comments.find(item => item.id === commentId);
+    if (!comment) {
+      throw new Error(`Comment not found: ${commentId}`);
+    }
+
+    comment.resolved = true;
+    comment.resolvedBy = user;
+    comment.resolvedAt = new Date().toISOString();
+    return comment;
+  }
+
+  /**
+   * Get review comments
+   * @param {ApplicantProfile} profile - Profile
+   * @param {object} [filter] - Filter
+   * @param {string} [filter.part] - Only this section
+   * @param {string} [filter.itemNumber] - Only this item
+   * @param {boolean} [filter.includeResolved] - Include resolved comments (default false)
+   * @returns {object[]} Comments
+   */
+  getComments(profile, filter = {}) {
+    return this.getReview(profile).comments.filter(comment =>
+      (filter.includeResolved || !comment.resolved) &&
+      (!filter.part || comment.part === filter.part) &&
+      (!filter.itemNumber || comment.itemNumber === filter.itemNumber));
+  }
+
+  /**
+   * Sign off one section; its answers are locked until edited with a reason
+   * @param {ApplicantProfile} profile - Profile
+   * @param {string} part - Section name (config part)
+   * @param {object} config - Form field configuration
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name (default: the current user)
+   * @returns {object} Sign-off { part, approvedBy, approvedAt, values }
+   */
+  approveSection(profile, part, config, options = {}) {
+    const user = options.user || this.getCurrentUser();
+    if (this.requireRole(user) !== REVIEW_ROLES.ATTORNEY) {
+      throw new Error('Only an attorney can approve a section');
+    }
+
+    const values = {};
+    for (const field of this.getSectionFields(config, part)) {
+      if (field.data_path) {
+        const value = getPathValue(profile, field.data_path);
+        values[field.data_path] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+      }
+    }
+
+    const review = this.getReview(profile);
+    const signOff = { part, approvedBy: user, approvedAt: new Date().toISOString(), values };
+    review.signOffs = review.signOffs.filter(item => item.part !== part).concat(signOff);
+    return signOff;
+  }
+
+  /**
+   * Get the signed-off sections
+   * @param {ApplicantProfile} profile - Profile
+   * @returns {string[]} Section names
+   */
+  getApprovedSections(profile) {
+    return this.getReview(profile).signOffs.map(signOff => signOff.part);
+  }
+
+  /**
+   * Find answers in signed-off sections that differ from what was approved
+   * @param {ApplicantProfile} profile - Profile
+   * @param {object} config - Form field configuration
+   * @returns {object[]} { part, itemNumber, dataPath, approvedValue, value }
+   */
+  getLockedChanges(profile, config) {
+    const changes = [];
+    for (const signOff of this.getReview(profile).signOffs) {
+      for (const field of this.getSectionFields(config, signOff.part)) {
+        if (!field.data_path || !(field.data_path in signOff.values)) continue;
+        const value = getPathValue(profile, field.data_path);
+        const approvedValue = signOff.values[field.data_path];
+        if (JSON.stringify(value === undefined ? null : value) !== JSON.stringify(approvedValue) &&
+          !changes.some(change => change.part === signOff.part && change.dataPath === field.data_path)) {
+          changes.push({ part: signOff.part, itemNumber: field.item_number, dataPath: field.data_path, approvedValue, value });
+        }
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Apply the review rules to every change a history records
+   * Edits, undos, redos and restores that touch signed-off answers need a
+   * reason; their sign-off is withdrawn and a case that was ready to file goes
+   * back to PENDING_REVIEW. Without a reason the history throws: edits stay
+   * pending (call history.discard() to cancel them), and undos, redos and
+   * restores are put back. Call when the profile is opened.
+   * @param {ChangeHistory} history - Change history of the open profile
+   * @param {object} config - Form field configuration
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name for the status log (default: the history's user)
+   * @returns {ChangeHistory} The history
+   */
+  protect(history, config, options = {}) {
+    history.guard = (changes, context) => this.checkChanges(history.profile, config, changes, {
+      ...context,
+      user: options.user || context.user || this.getCurrentUser()
+    });
+    return history;
+  }
+
+  /**
+   * Commit an edit through the review rules
+   * Protects the history (see protect()) and commits.
+   * @param {ChangeHistory} history - Change history of the open profile
+   * @param {object} config - Form field configuration
+   * @param {string} [reason] - Why signed-off answers were changed
+   * @param {object} [options] - Options
+   * @param {string} [options.user] - User name for the status log (default: the history's user)
+   * @returns {object[]} Recorded changes
+   * @throws {Error} If signed-off answers changed and no reason was given;
+   *   the edit stays pending (call history.discard() to cancel it)
+   */
+  commitEdit(history, config, reason = '', options = {}) {
+    return this.protect(history, config, options).commit(reason);
+  }
+
+  /**
+   * Check changes about to be recorded against the sign-offs
+   * @private
+   * @param {ApplicantProfile} profile - Profile
+   * @param {object} config - Form field configuration
+   * @param {object[]} changes - { path, oldValue, newValue }
+   * @param {object} context - { action, reason, user }
+   * @throws {Error} If signed-off answers changed and no reason was given
+   */
+  checkChanges(profile, config, changes, context) {
+    const touches = (path, change) =>
+      path === change.path || path.startsWith(`${change.path}.`) || change.path.startsWith(`${path}.`);
+    const review = this.getReview(profile);
+    const items = [];
+    const parts = [];
+    for (const signOff of review.signOffs) {
+      const paths = Object.keys(signOff.values).filter(path => changes.some(change => touches(path, change)));
+      if (paths.length === 0) continue;
+      parts.push(signOff.part);
+      for (const field of this.getSectionFields(config, signOff.part)) {
+        const item = field.item_number || field.data_path;
+        if (paths.includes(field.data_path) && !items.includes(item)) items.push(item);
+      }
+    }
+    if (parts.length === 0) return;
+
+    if (!context.reason) {
+      throw new Error(`Approved answers changed (${items.join(', ')}); a reason is required`);
+    }
+
+    review.signOffs = review.signOffs.filter(signOff => !parts.includes(signOff.part));
+    const from = profile.metadata.status;
+    const to = from === 'READY_TO_FILE' ? 'PENDING_REVIEW' : from;
+    profile.metadata.status = to;
+    this.logStatus(profile, {
+      from,
+      to,
+      user: context.user,
+      role: this.getRole(context.user),
+      comment: `Approved sections changed (${parts.join('; ')}): ${context.reason}`
+    });
+  }
+
+  /**
+   * Get the user list for a change by an attorney
+   * While the list is empty anyone may add the first user.
+   * @private
+   * @param {string} [user] - User making the change (default: the current user)
+   * @returns {object[]} Users
+   * @throws {Error} If the store is locked or the user is not an attorney
+   */
+  getManagedUsers(user = this.getCurrentUser()) {
+    if (this.getStore().isLocked()) {
+      throw new Error('Storage is locked; enter the office passphrase');
+    }
+    const users = this.getUsers();
+    if (users.length > 0 && this.requireRole(user) !== REVIEW_ROLES.ATTORNEY) {
+      throw new Error('Only an attorney can add or remove users');
+    }
+    return users;
+  }
+
+  /**
+   * Get the case store holding the user list
+   * @private
+   * @returns {CaseStore} Case store
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = typeof caseStore !== 'undefined' ? caseStore : require('./case-store').caseStore;
+    }
+    return this.store;
+  }
+
+  /**
+   * Get the name of the person using this computer
+   * @private
+   * @returns {string} User name
+   */
+  getCurrentUser() {
+    const History = typeof ChangeHistory !== 'undefined' ? ChangeHistory : require('./change-history');
+    return History.getCurrentUser();
+  }
+
+  /**
+   * Get a registered user's role
+   * @private
+   * @param {string} user - User name
+   * @returns {string} Role
+   * @throws {Error} If the user is not registered
+   */
+  requireRole(user) {
+    const role = this.getRole(user);
+    if (!role) {
+      throw new Error(`Unknown user "${user}"; add them with addUser()`);
+    }
+    return role;
+  }
+
+  /**
+   * Get the review data of a profile, creating it for older profiles
+   * @private
+   * @param {ApplicantProfile} profile - Profile
+   * @returns {object} { comments, signOffs, statusLog }
+   */
+  getReview(profile) {
+    profile.metadata.review = {
+      comments: [],
+      signOffs: [],
+      statusLog: [],
+      ...profile.metadata.review
+    };
+    return profile.metadata.review;
+  }
+
+  /**
+   * Get the fields of a config section
+   * @private
+   * @param {object} config - Form field configuration
+   * @param {string} part - Section name
+   * @returns {object[]} Fields
+   */
+  getSectionFields(config, part) {
+    const section = ((config && config.parts) || []).find(item => item.part === part);
+    if (!section) {
+      throw new Error(`Unknown section: ${part}`);
+    }
+    return section.fields || [];
+  }
+
+  /**
+   * Append to the status log
+   * @private
+   * @param {ApplicantProfile} profile - Profile
+   * @param {object} entry - { from, to, user, role, comment }
+   * @returns {object} Log entry
+   */
+  logStatus(profile, entry) {
+    const logEntry = { ...entry, timestamp: new Date().toISOString() };
+    this.getReview(profile).statusLog.push(logEntry);
+    console.log(`[ReviewWorkflow] ${profile.metadata.applicationId}: ${entry.from} -> ${entry.to} by ${entry.user}`);
+    return logEntry;
+  }
+
+  /**
+   * Save the office users
+   * At least one attorney must remain, or nobody could manage the list.
+   * @private
+   * @param {object[]} users - Users
+   * @returns {Promise<void>}
+   */
+  async saveUsers(users) {
+    if (!users.some(user => user.role === REVIEW_ROLES.ATTORNEY)) {
+      throw new Error('At least one attorney must remain');
+    }
+    await this.getStore().setSetting(REVIEW_USERS_SETTING, users);
+  }
+}
+
+/**
+ * Create and export singleton instance
+ */
+const reviewWorkflow = new ReviewWorkflow();
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ReviewWorkflow,
+    reviewWorkflow,
+    REVIEW_ROLES,
+    REVIEW_TRANSITIONS
+  };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ReviewWorkflow = ReviewWorkflow;
+  window.reviewWorkflow = reviewWorkflow;
+  window.REVIEW_ROLES = REVIEW_ROLES;
+  window.REVIEW_TRANSITIONS = REVIEW_TRANSITIONS;
+}
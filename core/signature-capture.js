@@ -0,0 +1,267 @@
+/**
+ * Signature Capture for I-765 Form Application
+ * Records a handwritten signature on a canvas (finger, stylus or mouse) or
+ * reads an uploaded PNG/JPEG, and returns it as a data URL for the profile
+ * Last Updated: 2025-12-09
+ */
+
+/**
+ * Image types PDFProcessor can embed
+ */
+const SIGNATURE_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Signature Capture Class
+ */
+class SignatureCapture {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to sign on
+   * @param {object} [options] - Pen options
+   * @param {number} [options.lineWidth] - Pen width in CSS pixels
+   * @param {string} [options.color] - Pen color
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.lineWidth = options.lineWidth || 2.5;
+    this.color = options.color || '#000000';
+    this.strokes = [];
+    this.currentStroke = null;
+    this.image = null;
+    this.imageDataUrl = '';
+
+    this.context = canvas.getContext('2d');
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
+    // Stop the page from scrolling while signing on a tablet
+    canvas.style.touchAction = 'none';
+    canvas.addEventListener('pointerdown', this.handlePointerDown);
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    canvas.addEventListener('pointerup', this.handlePointerUp);
+    canvas.addEventListener('pointerleave', this.handlePointerUp);
+    canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+    this.resize();
+  }
+
+  /**
+   * Match the canvas bitmap to its displayed size and device pixel ratio
+   * Call again after the canvas is resized; strokes or the loaded image are redrawn.
+   */
+  resize() {
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    this.canvas.width = Math.round(rect.width * ratio);
+    this.canvas.height = Math.round(rect.height * ratio);
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.redraw();
+  }
+
+  /**
+   * Clear the signature
+   */
+  clear() {
+    this.strokes = [];
+    this.currentStroke = null;
+    this.image = null;
+    this.imageDataUrl = '';
+    this.redraw();
+  }
+
+  /**
+   * Check whether anything has been drawn or loaded
+   * @returns {boolean} True if the canvas is empty
+   */
+  isEmpty() {
+    return this.strokes.length === 0 && !this.image;
+  }
+
+  /**
+   * Export the signature as a PNG data URL, cropped to the ink
+   * A loaded signature that was not drawn over is returned as it was loaded.
+   * @param {number} [padding] - Transparent margin around the ink in CSS pixels
+   * @returns {string} PNG (or loaded JPEG) data URL, or '' if nothing was drawn
+   */
+  toDataURL(padding = 4) {
+    if (this.isEmpty()) return '';
+    if (this.image) return this.imageDataUrl;
+
+    const points = this.strokes.flat();
+    const margin = padding + this.lineWidth;
+    const left = Math.max(0, Math.min(...points.map(point => point.x)) - margin);
+    const top = Math.max(0, Math.min(...points.map(point => point.y)) - margin);
+    const right = Math.max(...points.map(point => point.x)) + margin;
+    const bottom = Math.max(...points.map(point => point.y)) + margin;
+
+    const ratio = this.canvas.width / this.canvas.getBoundingClientRect().width || 1;
+    const cropped = document.createElement('canvas');
+    cropped.width = Math.ceil((right - left) * ratio);
+    cropped.height = Math.ceil((bottom - top) * ratio);
+    cropped.getContext('2d').drawImage(
+      this.canvas,
+      left * ratio, top * ratio, cropped.width, cropped.height,
+      0, 0, cropped.width, cropped.height
+    );
+
+    return cropped.toDataURL('image/png');
+  }
+
+  /**
+   * Show an existing signature (e.g. from the profile) on the canvas
+   * The image replaces any strokes; drawing again starts a new signature.
+   * @param {string} dataUrl - PNG or JPEG data URL
+   * @returns {Promise<void>}
+   */
+  async load(dataUrl) {
+    this.clear();
+    if (!dataUrl) return;
+
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Could not read signature image'));
+      image.src = dataUrl;
+    });
+
+    this.image = image;
+    this.imageDataUrl = dataUrl;
+    this.redraw();
+  }
+
+  /**
+   * Remove the canvas listeners
+   */
+  destroy() {
+    this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+    this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+    this.canvas.removeEventListener('pointerleave', this.handlePointerUp);
+    this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Read an uploaded signature image (e.g. a scanned signature)
+   * @param {File|Blob} file - PNG or JPEG file
+   * @returns {Promise<string>} Data URL
+   */
+  static readImageFile(file) {
+    if (!file || !SIGNATURE_IMAGE_TYPES.includes(file.type)) {
+      return Promise.reject(new Error('Signature must be a PNG or JPEG image'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Could not read signature image'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Check whether a value is a signature image PDFProcessor can embed
+   * @param {*} value - Value to test
+   * @returns {boolean} True for PNG or JPEG data URLs
+   */
+  static isImageDataUrl(value) {
+    return typeof value === 'string' && /^data:image\/(png|jpeg);base64,/.test(value);
+  }
+
+  /**
+   * Start a stroke
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    event.preventDefault();
+    this.canvas.setPointerCapture(event.pointerId);
+    this.image = null;
+    this.imageDataUrl = '';
+    this.currentStroke = [this.getPoint(event)];
+    this.strokes.push(this.currentStroke);
+    this.redraw();
+  }
+
+  /**
+   * Extend the current stroke
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.currentStroke) return;
+    event.preventDefault();
+
+    // Coalesced events keep fast stylus strokes smooth
+    const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [event];
+    for (const sample of events.length > 0 ? events : [event]) {
+      this.currentStroke.push(this.getPoint(sample));
+    }
+    this.redraw();
+  }
+
+  /**
+   * Finish the current stroke
+   * @private
+   */
+  handlePointerUp() {
+    this.currentStroke = null;
+  }
+
+  /**
+   * Get a pointer position in canvas CSS pixels
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   * @returns {object} { x, y }
+   */
+  getPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Redraw the loaded image and all strokes
+   * @private
+   */
+  redraw() {
+    const rect = this.canvas.getBoundingClientRect();
+    this.context.clearRect(0, 0, rect.width, rect.height);
+
+    if (this.image) {
+      const scale = Math.min(rect.width / this.image.width, rect.height / this.image.height, 1);
+      this.context.drawImage(this.image, 0, 0, this.image.width * scale, this.image.height * scale);
+    }
+
+    this.context.lineWidth = this.lineWidth;
+    this.context.lineCap = 'round';
+    this.context.lineJoin = 'round';
+    this.context.strokeStyle = this.color;
+    this.context.fillStyle = this.color;
+
+    for (const stroke of this.strokes) {
+      if (stroke.length === 1) {
+        // A tap leaves a dot
+        this.context.beginPath();
+        this.context.arc(stroke[0].x, stroke[0].y, this.lineWidth / 2, 0, Math.PI * 2);
+        this.context.fill();
+        continue;
+      }
+
+      this.context.beginPath();
+      this.context.moveTo(stroke[0].x, stroke[0].y);
+      for (const point of stroke.slice(1)) {
+        this.context.lineTo(point.x, point.y);
+      }
+      this.context.stroke();
+    }
+  }
+}
+
+// Export for use in different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignatureCapture;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SignatureCapture = SignatureCapture;
+}
@@ -5,8 +5,9 @@
  */
 
 class FormValidator {
-  constructor(localizationManager) {
+  constructor(localizationManager, conditionEvaluator) {
     this.localization = localizationManager || (typeof localization !== 'undefined' ? localization : null);
+    this.conditions = conditionEvaluator || null;
   }
 
   /**
@@ -144,14 +145,21 @@ class FormValidator {
       }
     }
 
-    // Eligibility category validation
-    if (fieldId.includes('eligibility_category')) {
-      const categoryRegex = /^\([a-z]\)\d+\)(?:\([ivx]+\))?$/;
-      if (value && !categoryRegex.test(value)) {
+    // Eligibility category validation against the category catalog
+    if (fieldId.includes('eligibility_category') && value) {
+      const catalog = this.getEligibilityCatalog();
+      const code = catalog.normalizeCode(value);
+      if (!code) {
         errors.push(
           isZh 
-            ? '资格类别格式应为 (a)(8) 或 (c)(17)(iii)' 
-            : 'Eligibility category format should be (a)(8) or (c)(17)(iii)'
+            ? `未知的资格类别：${value}，请参考说明书中的类别列表` 
+            : `Unknown eligibility category: ${value}. Use a category listed in the Instructions`
+        );
+      } else if (code !== value) {
+        errors.push(
+          isZh 
+            ? `资格类别应填写为 ${code}` 
+            : `Eligibility category should be entered as ${code}`
         );
       }
     }
@@ -223,6 +231,7 @@ class FormValidator {
 
   /**
    * Validate entire form section
+   * Fields hidden by their `conditional` rule are skipped
    * @param {object} data - Form data object
    * @param {object} config - Field configuration
    * @returns {object} Validation result
@@ -235,13 +244,26 @@ class FormValidator {
       return { isValid: false, errors: { general: 'Invalid configuration' } };
     }
 
+    // Without a form-wide evaluator, conditions resolve within this section
+    const conditions = this.conditions || this.createConditionEvaluator({ parts: [config] });
+
+    // Supplemental items (28.-31.) the selected eligibility category requires
+    const categoryField = config.fields.find(field => field.field_id === 'eligibility_category');
+    const requiredItems = categoryField
+      ? this.getEligibilityCatalog().getRequiredItems(this.getNestedValue(data, categoryField.data_path))
+      : [];
+
     for (const field of config.fields) {
+      if (!conditions.isFieldVisible(field, data)) continue;
+
       const value = this.getNestedValue(data, field.data_path);
-      const rules = field.validation || {};
+      const rules = { ...(field.validation || {}) };
       
       // Add field-specific rules
       if (field.required) rules.required = field.required;
-      if (field.max_length) rules.max_length = field.max_length;
+      if (requiredItems.includes(field.item_number)) rules.required = true;
+      // A formatted identifier's max_length counts its boxes ("A123456789" fills nine); its pattern checks it
+      if (field.max_length && !['a_number', 'digits'].includes(field.identifier)) rules.max_length = field.max_length;
       if (field.type) rules.type = field.type;
 
       const result = this.validateField(field.field_id, value, rules);
@@ -255,6 +277,201 @@ class FormValidator {
     return { isValid, errors };
   }
 
+  /**
+   * Validate cross-field consistency rules declared in the configuration
+   * Rules reference fields by field_id and carry bilingual messages:
+   *   exactly_one     - exactly one of `fields` is selected
+   *   requires        - when `when.field` equals `when.equals`, `then.field`
+   *                     must equal `then.equals` (or be non-empty with `not_empty`)
+   *   date_after      - `field` is a date after the `after` field's date
+   *   date_not_future - `field` is not after today
+   *   date_not_past   - `field` is not before today
+   * Rules involving hidden fields are skipped. Rules marked `on_signing`
+   * (e.g. the signature date is today) only hold when the form is signed or
+   * filled, so saved profiles reloaded later still validate.
+   * @param {object} data - Applicant profile or plain profile data
+   * @param {object} config - Form configuration with parts and cross_field_rules
+   * @param {object} [options] - Options
+   * @param {boolean} [options.signing] - Also check the `on_signing` rules
+   * @returns {object} Validation result { isValid, errors: { fieldId: string[] } }
+   */
+  validateCrossFieldRules(data, config, options = {}) {
+    const errors = {};
+    if (!config || !config.cross_field_rules) {
+      return { isValid: true, errors };
+    }
+
+    const isZh = this.localization && this.localization.getCurrentLanguage() === 'zh';
+    const conditions = this.conditions || this.createConditionEvaluator(config);
+    const fields = new Map();
+    for (const part of config.parts || []) {
+      for (const field of part.fields || []) {
+        fields.set(field.field_id, field);
+      }
+    }
+
+    const valueOf = (fieldId) => this.getNestedValue(data, fields.get(fieldId).data_path);
+
+    for (const rule of config.cross_field_rules) {
+      if (rule.on_signing && !options.signing) continue;
+
+      const referenced = [rule.field, rule.after, rule.when && rule.when.field, rule.then && rule.then.field]
+        .concat(rule.fields || [])
+        .filter(Boolean);
+
+      const unknown = referenced.find(fieldId => !fields.has(fieldId));
+      if (unknown) {
+        console.warn(`[FormValidator] Rule ${rule.rule_id} references unknown field ${unknown}`);
+        continue;
+      }
+      if (referenced.some(fieldId => !conditions.isFieldVisible(fields.get(fieldId), data))) {
+        continue;
+      }
+
+      let passed = true;
+      let target = rule.field;
+
+      switch (rule.type) {
+        case 'exactly_one': {
+          const selected = rule.fields.filter(fieldId => this.isSelected(valueOf(fieldId), fields.get(fieldId)));
+          passed = selected.length === 1;
+          target = rule.fields[0];
+          break;
+        }
+
+        case 'requires': {
+          target = rule.then.field;
+          if (this.valuesEqual(valueOf(rule.when.field), rule.when.equals)) {
+            const value = valueOf(rule.then.field);
+            passed = rule.then.not_empty
+              ? value !== null && value !== undefined && value !== ''
+              : this.valuesEqual(value, rule.then.equals);
+          }
+          break;
+        }
+
+        case 'date_after': {
+          const date = this.parseDateValue(valueOf(rule.field));
+          const after = this.parseDateValue(valueOf(rule.after));
+          if (date && after) passed = date > after;
+          break;
+        }
+
+        case 'date_not_future': {
+          const date = this.parseDateValue(valueOf(rule.field));
+          if (date) passed = date <= this.getToday();
+          break;
+        }
+
+        case 'date_not_past': {
+          const date = this.parseDateValue(valueOf(rule.field));
+          if (date) passed = date >= this.getToday();
+          break;
+        }
+
+        default:
+          console.warn(`[FormValidator] Unknown rule type: ${rule.type}`);
+      }
+
+      if (!passed) {
+        const errorMsg = rule.error_message_zh && isZh
+          ? rule.error_message_zh
+          : (rule.error_message_en || (isZh ? '字段之间不一致' : 'Fields are inconsistent'));
+        if (!errors[target]) errors[target] = [];
+        errors[target].push(errorMsg);
+      }
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check whether a checkbox/radio value counts as selected
+   * Boxes sharing a data_path (Part 1 reasons) are selected when the stored
+   * value equals their value_mapping.checked
+   * @private
+   * @param {*} value - Profile value
+   * @param {object} field - Field configuration
+   * @returns {boolean} True if selected
+   */
+  isSelected(value, field) {
+    if (field.value_mapping && field.value_mapping.checked !== undefined) {
+      return value === true || value === field.value_mapping.checked;
+    }
+    return value === true || value === 'Yes' || value === 'X';
+  }
+
+  /**
+   * Compare a profile value with an expected Yes/No style value
+   * @private
+   * @param {*} value - Profile value
+   * @param {*} expected - Expected value
+   * @returns {boolean} True if equal
+   */
+  valuesEqual(value, expected) {
+    if (typeof value === 'boolean' && typeof expected === 'string') {
+      return expected === (value ? 'Yes' : 'No');
+    }
+    return value === expected;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD or MM/DD/YYYY date into a local Date
+   * @private
+   * @param {string} value - Date string
+   * @returns {Date|null} Parsed date or null
+   */
+  parseDateValue(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    if (this.validateDate(value)) {
+      const [month, day, year] = value.split('/').map(Number);
+      return new Date(year, month - 1, day);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get today's date at local midnight
+   * @private
+   * @returns {Date} Today
+   */
+  getToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  /**
+   * Create a condition evaluator for a configuration
+   * @private
+   * @param {object} config - Form configuration with parts
+   * @returns {ConditionEvaluator} Condition evaluator
+   */
+  createConditionEvaluator(config) {
+    const Evaluator = typeof ConditionEvaluator !== 'undefined'
+      ? ConditionEvaluator
+      : require('./condition-evaluator');
+    return new Evaluator(config);
+  }
+
+  /**
+   * Get the eligibility category catalog
+   * @private
+   * @returns {EligibilityCatalog} Catalog instance
+   */
+  getEligibilityCatalog() {
+    return typeof eligibilityCatalog !== 'undefined'
+      ? eligibilityCatalog
+      : require('./eligibility-categories').eligibilityCatalog;
+  }
+
   /**
    * Get nested value from object using dot notation path
    * @private
@@ -290,9 +507,12 @@ class FormValidator {
   /**
    * Validate applicant profile
    * @param {ApplicantProfile} profile - Applicant profile instance
+   * @param {object} [config] - Form configuration; enables cross-field rules
+   * @param {object} [options] - Options
+   * @param {boolean} [options.signing] - The form is being signed or filled (see validateCrossFieldRules)
    * @returns {object} Comprehensive validation result
    */
-  validateProfile(profile) {
+  validateProfile(profile, config, options = {}) {
     const results = {
       isValid: true,
       sections: {},
@@ -323,6 +543,42 @@ class FormValidator {
       results.allErrors.push(...eligibilityValidation.errors);
     }
 
+    // Validate interpreter (Part 4)
+    const interpreterValidation = profile.validateInterpreter();
+    results.sections.interpreter = interpreterValidation;
+    if (!interpreterValidation.isValid) {
+      results.isValid = false;
+      results.allErrors.push(...interpreterValidation.errors);
+    }
+
+    // Validate preparer (Part 5)
+    const preparerValidation = profile.validatePreparer();
+    results.sections.preparer = preparerValidation;
+    if (!preparerValidation.isValid) {
+      results.isValid = false;
+      results.allErrors.push(...preparerValidation.errors);
+    }
+
+    // Validate representative (G-28)
+    if (profile.metadata.hasRepresentative) {
+      const representativeValidation = profile.validateRepresentative();
+      results.sections.representative = representativeValidation;
+      if (!representativeValidation.isValid) {
+        results.isValid = false;
+        results.allErrors.push(...representativeValidation.errors);
+      }
+    }
+
+    // Validate cross-field consistency
+    if (config) {
+      const crossFieldValidation = this.validateCrossFieldRules(profile, config, options);
+      results.sections.crossField = crossFieldValidation;
+      if (!crossFieldValidation.isValid) {
+        results.isValid = false;
+        results.allErrors.push(...this.formatErrors(crossFieldValidation.errors));
+      }
+    }
+
     return results;
   }
 